@@ -29,6 +29,7 @@ class Audio {
         
         // Pause state
         this.isPaused = false;
+        this.lastMergeSoundTime = -Infinity; // ms, throttles merge sounds
         
         //need to check if audio is enabled in the config
         if (this.config.audio.enabled) {
@@ -137,6 +138,56 @@ class Audio {
         }
     }
 
+    /**
+     * Play the sound of drops merging: each parent's note sounds together
+     * with the lower note of the merged drop (bigger drop = lower pitch)
+     * PHILOSOPHY: Two moments becoming one are heard as one chord
+     * 
+     * @param {number} x - Merge x position (for panning)
+     * @param {Array<number>} parentSizes - Diameters (px) of the merging drops
+     * @param {number} mergedSize - Diameter (px) of the merged drop
+     */
+    playMergeSound(x = width / 2, parentSizes = [], mergedSize = 0) {
+        const settings = this.config.audio.mergeSound;
+        if (!this.soundsReady || !settings || !settings.useGenerative) return;
+        if (this.isPaused) return;
+        if (millis() - this.lastMergeSoundTime < settings.minInterval * 1000) return;
+        this.lastMergeSoundTime = millis();
+
+        try {
+            const osc = settings.oscillator;
+            const [minFreq, maxFreq] = this.config.audio.dropSound.oscillator.freqRange;
+            const [minSize, maxSize] = settings.sizeRange;
+            const [panMin, panMax] = this.config.audio.dropSound.oscillator.panRange;
+            const pan = map(x, 0, width, panMin, panMax);
+            const toFreq = size => map(constrain(Math.log(size), Math.log(minSize), Math.log(maxSize)),
+                Math.log(minSize), Math.log(maxSize), maxFreq, minFreq);
+            
+            const notes = [
+                ...parentSizes.map(size => ({ freq: toFreq(size), amp: settings.volume * 0.6 })),
+                { freq: toFreq(mergedSize) / 2, amp: settings.volume }
+            ];
+            
+            notes.forEach(note => {
+                const env = new p5.Envelope();
+                env.setADSR(osc.attack, osc.decay, osc.sustain, osc.release);
+                env.setRange(note.amp, 0);
+                
+                const voice = new p5.Oscillator(osc.type);
+                voice.freq(note.freq);
+                voice.pan(pan);
+                voice.start();
+                env.play(voice);
+                
+                setTimeout(() => {
+                    voice.stop();
+                }, (osc.attack + osc.decay + osc.release) * 1000);
+            });
+        } catch (error) {
+            console.log('Error playing merge sound:', error);
+        }
+    }
+
     /**
      * Update the audio system with current turbulence level.
      * PHILOSOPHY: Audio is the PRIMARY feedback for attention state
@@ -291,28 +342,47 @@ class Audio {
     }
 
     /**
-     * Plays a generative sound for a chime drop.
-     * @param {InkDrop} drop - The ink drop that triggered the sound.
+     * Play a bell for a chime event
+     * PHILOSOPHY: More significant moments ring lower and longer
+     * 
+     * @param {number} x - Chime x position (for panning)
+     * @param {Object} profile - Chime level profile ({bellFreq, bellVolume})
      */
-    playChimeSound(drop) {
-        if (!this.config.audio.chimeSound.useGenerative || !this.audioInitialized) return;
-
+    playChimeSound(x = width / 2, profile = {}) {
         const settings = this.config.audio.chimeSound;
-        const chimeEnv = new p5.Envelope();
-        const chimeOsc = new p5.Oscillator(settings.oscillator.type);
-
-        chimeEnv.setADSR(
-            settings.oscillator.attack,
-            settings.oscillator.decay,
-            settings.oscillator.sustain,
-            settings.oscillator.release
-        );
-        chimeEnv.setRange(settings.volume, 0);
-
-        const freq = settings.oscillator.baseFreq;
-        chimeOsc.freq(freq);
+        if (!this.soundsReady || !settings || !settings.useGenerative) return;
+        if (this.isPaused) return;
 
-        chimeOsc.start();
-        chimeEnv.play(chimeOsc);
+        try {
+            const osc = settings.oscillator;
+            const freq = profile.bellFreq || 660;
+            const volume = profile.bellVolume || 0.25;
+            const [panMin, panMax] = this.config.audio.dropSound.oscillator.panRange;
+            const pan = map(x, 0, width, panMin, panMax);
+            
+            // Fundamental + inharmonic partial gives a bell-like timbre
+            const partials = [
+                { freq, amp: volume },
+                { freq: freq * (settings.overtone || 2.76), amp: volume * 0.3 }
+            ];
+            
+            partials.forEach(partial => {
+                const env = new p5.Envelope();
+                env.setADSR(osc.attack, osc.decay, osc.sustain, osc.release);
+                env.setRange(partial.amp, 0);
+                
+                const bell = new p5.Oscillator(osc.type);
+                bell.freq(partial.freq);
+                bell.pan(pan);
+                bell.start();
+                env.play(bell);
+                
+                setTimeout(() => {
+                    bell.stop();
+                }, (osc.attack + osc.decay + osc.release) * 1000);
+            });
+        } catch (error) {
+            console.log('Error playing chime sound:', error);
+        }
     }
 }
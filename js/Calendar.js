@@ -0,0 +1,406 @@
+/**
+ * Calendar.js - Local iCalendar (.ics) schedule
+ *
+ * PHILOSOPHY: "Shared Time Made Visible"
+ * Meetings are the moments a team agrees to share. Loaded from a local .ics
+ * file (never uploaded anywhere), they become their own kind of ink on the
+ * canvas and faint promises along the sun's path.
+ *
+ * Supported subset of RFC 5545:
+ * - VEVENT with DTSTART, DTEND or DURATION, SUMMARY, UID, LOCATION
+ * - UTC (…Z), floating (browser local) and TZID=<IANA zone> date-times
+ * - RRULE FREQ=DAILY/WEEKLY with INTERVAL, COUNT, UNTIL, BYDAY; EXDATE
+ * - All-day (VALUE=DATE) entries are ignored - they have no moment to mark
+ *
+ * Occurrences are expanded lazily for a window around the queried time.
+ *
+ * @example
+ * const calendar = new Calendar();
+ * calendar.loadICS(fileText);
+ * calendar.getActiveEvents(Date.now()); // [{uid, summary, start, end}]
+ */
+class Calendar {
+    constructor() {
+        this.events = [];          // parsed VEVENTs (recurrence rules unexpanded)
+        this.occurrences = [];     // expanded occurrences for the cached window
+        this.windowStart = 0;
+        this.windowEnd = 0;
+        this.zoneFormatters = {};
+    }
+
+    /**
+     * Replace the schedule with the events of an .ics document
+     *
+     * @param {string} text - iCalendar file contents
+     * @returns {number} Number of timed events loaded
+     * @throws {Error} If the text is not an iCalendar document
+     */
+    loadICS(text) {
+        if (typeof text !== 'string' || !/BEGIN:VCALENDAR/i.test(text)) {
+            throw new Error('Calendar: not an iCalendar (.ics) document');
+        }
+
+        const lines = this._unfold(text);
+        const events = [];
+        let current = null;
+
+        for (const line of lines) {
+            const upper = line.toUpperCase();
+
+            if (upper === 'BEGIN:VEVENT') {
+                current = { properties: {} };
+            } else if (upper === 'END:VEVENT') {
+                const event = current && this._buildEvent(current.properties);
+                if (event) events.push(event);
+                current = null;
+            } else if (current) {
+                const property = this._parseLine(line);
+                if (property) {
+                    // EXDATE may repeat; everything else keeps the first value
+                    if (property.name === 'EXDATE') {
+                        (current.properties.EXDATE = current.properties.EXDATE || []).push(property);
+                    } else if (!current.properties[property.name]) {
+                        current.properties[property.name] = property;
+                    }
+                }
+            }
+        }
+
+        this.events = events;
+        this._invalidate();
+        return events.length;
+    }
+
+    /**
+     * Remove all events
+     */
+    clear() {
+        this.events = [];
+        this._invalidate();
+    }
+
+    /**
+     * @returns {boolean} True if any events are loaded
+     */
+    hasEvents() {
+        return this.events.length > 0;
+    }
+
+    /**
+     * Occurrences in progress at an instant
+     *
+     * @param {number} epochMs - Unix time in ms
+     * @returns {Array<{uid: string, summary: string, location: string, start: number, end: number}>}
+     */
+    getActiveEvents(epochMs) {
+        this._ensureWindow(epochMs);
+        return this.occurrences.filter(o => o.start <= epochMs && epochMs < o.end);
+    }
+
+    /**
+     * Occurrences overlapping [startMs, endMs), sorted by start
+     *
+     * @param {number} startMs - Unix time in ms
+     * @param {number} endMs - Unix time in ms
+     * @returns {Array<Object>}
+     */
+    getEventsBetween(startMs, endMs) {
+        this._ensureWindow(startMs);
+        this._ensureWindow(endMs);
+        return this.occurrences.filter(o => o.start < endMs && o.end > startMs);
+    }
+
+    // ==================== PARSING ====================
+
+    /**
+     * Split into logical lines (RFC 5545 §3.1: continuation lines start with space/tab)
+     * @private
+     */
+    _unfold(text) {
+        return text
+            .replace(/\r\n/g, '\n')
+            .replace(/\n[ \t]/g, '')
+            .split('\n')
+            .map(line => line.trim())
+            .filter(line => line.length > 0);
+    }
+
+    /**
+     * "DTSTART;TZID=Europe/Berlin:20261018T090000" → {name, params, value}
+     * @private
+     */
+    _parseLine(line) {
+        const colon = line.indexOf(':');
+        if (colon === -1) return null;
+
+        const [name, ...paramParts] = line.slice(0, colon).split(';');
+        const params = {};
+        paramParts.forEach(part => {
+            const [key, value = ''] = part.split('=');
+            params[key.toUpperCase()] = value.replace(/^"|"$/g, '');
+        });
+
+        return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+    }
+
+    /**
+     * @private
+     * @returns {Object|null} Event or null if it cannot be placed in time
+     */
+    _buildEvent(props) {
+        if (!props.DTSTART) return null;
+
+        const start = this._parseDateTime(props.DTSTART);
+        if (!start || start.allDay) return null;
+
+        let durationMs;
+        if (props.DTEND) {
+            const end = this._parseDateTime(props.DTEND);
+            durationMs = end ? this._toEpoch(end) - this._toEpoch(start) : 0;
+        } else if (props.DURATION) {
+            durationMs = this._parseDuration(props.DURATION.value);
+        } else {
+            durationMs = 0;
+        }
+
+        const exdates = (props.EXDATE || []).flatMap(prop =>
+            prop.value.split(',').map(value => {
+                const parsed = this._parseDateTime({ params: prop.params, value });
+                return parsed ? this._toEpoch(parsed) : null;
+            })
+        ).filter(ms => ms !== null);
+
+        return {
+            uid: props.UID ? props.UID.value : `event_${this.events.length}_${start.localMs}`,
+            summary: props.SUMMARY ? this._unescape(props.SUMMARY.value) : 'Untitled',
+            location: props.LOCATION ? this._unescape(props.LOCATION.value) : '',
+            start,
+            durationMs: Math.max(0, durationMs),
+            rrule: props.RRULE ? this._parseRRule(props.RRULE.value) : null,
+            exdates
+        };
+    }
+
+    /**
+     * Date-time as local wall-clock fields + zone
+     * @private
+     * @returns {{localMs: number, zone: string|null, allDay: boolean}|null}
+     *   localMs encodes the wall-clock fields as if they were UTC;
+     *   zone is 'UTC', an IANA name, or null (floating = browser local)
+     */
+    _parseDateTime(prop) {
+        const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(prop.value.trim());
+        if (!match) return null;
+
+        const [, y, mo, d, h, mi, s, utc] = match;
+        const allDay = h === undefined || prop.params.VALUE === 'DATE';
+        const localMs = Date.UTC(Number(y), Number(mo) - 1, Number(d), Number(h || 0), Number(mi || 0), Number(s || 0));
+
+        let zone = null;
+        if (utc) {
+            zone = 'UTC';
+        } else if (prop.params.TZID && this._getZoneFormatter(prop.params.TZID)) {
+            zone = prop.params.TZID;
+        }
+
+        return { localMs, zone, allDay };
+    }
+
+    /**
+     * "PT1H30M" / "P1D" → ms
+     * @private
+     */
+    _parseDuration(value) {
+        const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+        if (!match) return 0;
+
+        const [, sign, w, d, h, m, s] = match;
+        const ms = ((Number(w || 0) * 7 + Number(d || 0)) * 86400 +
+            Number(h || 0) * 3600 + Number(m || 0) * 60 + Number(s || 0)) * 1000;
+        return sign === '-' ? -ms : ms;
+    }
+
+    /**
+     * @private
+     */
+    _parseRRule(value) {
+        const rule = {};
+        value.split(';').forEach(part => {
+            const [key, val] = part.split('=');
+            rule[key.toUpperCase()] = val;
+        });
+
+        if (rule.FREQ !== 'DAILY' && rule.FREQ !== 'WEEKLY') {
+            console.warn(`Calendar: RRULE FREQ=${rule.FREQ} not supported, using first occurrence only`);
+            return null;
+        }
+
+        const until = rule.UNTIL ? this._parseDateTime({ params: {}, value: rule.UNTIL }) : null;
+        const weekdays = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+        return {
+            freq: rule.FREQ,
+            interval: Math.max(1, Number(rule.INTERVAL) || 1),
+            count: rule.COUNT ? Number(rule.COUNT) : Infinity,
+            until: until ? this._toEpoch(until) : Infinity,
+            byDay: rule.BYDAY
+                ? rule.BYDAY.split(',').map(day => weekdays.indexOf(day.slice(-2))).filter(i => i >= 0)
+                : null
+        };
+    }
+
+    _unescape(value) {
+        return value.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1');
+    }
+
+    // ==================== TIME ZONES ====================
+
+    /**
+     * Wall-clock fields in a zone → Unix ms (DST-aware)
+     * @private
+     */
+    _toEpoch(dateTime) {
+        const { localMs, zone } = dateTime;
+
+        if (zone === 'UTC') return localMs;
+
+        if (zone === null) {
+            const d = new Date(localMs);
+            return new Date(
+                d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(),
+                d.getUTCHours(), d.getUTCMinutes(), d.getUTCSeconds()
+            ).getTime();
+        }
+
+        // Two passes settle the offset around DST transitions
+        const firstGuess = localMs - this._getZoneOffset(zone, localMs);
+        return localMs - this._getZoneOffset(zone, firstGuess);
+    }
+
+    /**
+     * @private
+     */
+    _getZoneOffset(zone, epochMs) {
+        const parts = {};
+        this._getZoneFormatter(zone).formatToParts(new Date(epochMs)).forEach(part => {
+            parts[part.type] = part.value;
+        });
+
+        const asUtc = Date.UTC(
+            Number(parts.year), Number(parts.month) - 1, Number(parts.day),
+            Number(parts.hour) % 24, Number(parts.minute), Number(parts.second)
+        );
+        return asUtc - Math.floor(epochMs / 1000) * 1000;
+    }
+
+    /**
+     * @private
+     * @returns {Intl.DateTimeFormat|null} null for unknown zones (e.g. Windows zone names)
+     */
+    _getZoneFormatter(zone) {
+        if (!(zone in this.zoneFormatters)) {
+            try {
+                this.zoneFormatters[zone] = new Intl.DateTimeFormat('en-US', {
+                    timeZone: zone,
+                    hourCycle: 'h23',
+                    year: 'numeric', month: 'numeric', day: 'numeric',
+                    hour: 'numeric', minute: 'numeric', second: 'numeric'
+                });
+            } catch (error) {
+                console.warn(`Calendar: unknown TZID '${zone}', treating as local time`);
+                this.zoneFormatters[zone] = null;
+            }
+        }
+        return this.zoneFormatters[zone];
+    }
+
+    // ==================== RECURRENCE ====================
+
+    _invalidate() {
+        this.occurrences = [];
+        this.windowStart = 0;
+        this.windowEnd = 0;
+    }
+
+    /**
+     * Expand occurrences for [ms - 1 day, ms + 2 days] if ms is outside the cached window
+     * @private
+     */
+    _ensureWindow(ms) {
+        if (ms >= this.windowStart && ms < this.windowEnd) return;
+
+        const day = 86400000;
+        this.windowStart = ms - day;
+        this.windowEnd = ms + 2 * day;
+        this.occurrences = [];
+
+        this.events.forEach(event => {
+            this._expand(event, this.windowStart, this.windowEnd).forEach(start => {
+                this.occurrences.push({
+                    uid: `${event.uid}@${start}`,
+                    summary: event.summary,
+                    location: event.location,
+                    start,
+                    end: start + event.durationMs
+                });
+            });
+        });
+
+        this.occurrences.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Occurrence start times overlapping the window
+     * @private
+     */
+    _expand(event, windowStart, windowEnd) {
+        const starts = [];
+        const overlaps = start => start < windowEnd && start + event.durationMs > windowStart;
+        const rule = event.rrule;
+
+        if (!rule) {
+            const start = this._toEpoch(event.start);
+            return overlaps(start) ? [start] : [];
+        }
+
+        const day = 86400000;
+        const firstLocal = event.start.localMs;
+        const stepDays = rule.freq === 'DAILY' ? rule.interval : 7 * rule.interval;
+        const firstWeekday = new Date(firstLocal).getUTCDay();
+        const byWeekday = rule.freq === 'WEEKLY' && rule.byDay;
+        // BYDAY periods are weeks starting on the Monday of the DTSTART week (WKST=MO)
+        const anchorLocal = byWeekday ? firstLocal - ((firstWeekday + 6) % 7) * day : firstLocal;
+        const dayOffsets = byWeekday
+            ? rule.byDay.map(weekday => (weekday + 6) % 7).sort((a, b) => a - b)
+            : [0];
+
+        // Without COUNT nothing before the window matters, so skip ahead
+        let firstPeriod = 0;
+        if (rule.count === Infinity) {
+            const periodMs = stepDays * day;
+            const lead = windowStart - event.durationMs - 2 * periodMs - this._toEpoch(event.start);
+            firstPeriod = Math.max(0, Math.floor(lead / periodMs));
+        }
+
+        let emitted = 0;
+        for (let period = firstPeriod; emitted < rule.count; period++) {
+            for (const offset of dayOffsets) {
+                const localMs = anchorLocal + (period * stepDays + offset) * day;
+                if (localMs < firstLocal) continue; // earlier days of the first week
+
+                const start = this._toEpoch({ localMs, zone: event.start.zone });
+
+                if (start > rule.until || start >= windowEnd || emitted >= rule.count) {
+                    return starts;
+                }
+
+                emitted++;
+                if (overlaps(start) && !event.exdates.includes(start)) {
+                    starts.push(start);
+                }
+            }
+        }
+
+        return starts;
+    }
+}
@@ -0,0 +1,126 @@
+/**
+ * ChimeSchedule.js - Which minutes chime, and how strongly
+ *
+ * PHILOSOPHY: "Cultural Time Markers"
+ * Quarter-hour chimes are one tradition among many. A schedule decides which
+ * minutes become temporal anchors, and each anchor carries a significance level.
+ * The level - not the minute number - decides how loudly the moment speaks:
+ * cymatic ring count, permanent marker size and bell pitch.
+ *
+ * Schedule formats (CONFIG.chime.schedule.default or .hours[hour]):
+ * - List:     [{ minute: 15, level: 1 }, { minute: 30, level: 2 }]
+ * - Interval: { every: 10, level: 1 }          → 10, 20, 30, 40, 50
+ *             { every: 20, offset: 5, level: 2 } → 5, 25, 45
+ *
+ * @example
+ * const schedule = new ChimeSchedule(CONFIG.chime);
+ * schedule.getChime(9, 30); // { minute: 30, level: 2, rings: 6, markerSize: 35, ... }
+ */
+class ChimeSchedule {
+    /**
+     * @param {Object} chimeConfig - CONFIG.chime
+     */
+    constructor(chimeConfig = {}) {
+        const scheduleConfig = chimeConfig.schedule || {};
+
+        this.levels = chimeConfig.levels || {};
+        this.defaultEntries = this._normalize(scheduleConfig.default || [], 'default');
+
+        // Per-hour overrides (0-23)
+        this.hourEntries = {};
+        Object.keys(scheduleConfig.hours || {}).forEach(hour => {
+            this.hourEntries[hour] = this._normalize(scheduleConfig.hours[hour], `hours.${hour}`);
+        });
+    }
+
+    /**
+     * Chime scheduled at the given time
+     *
+     * @param {number} hour - Hour (0-23)
+     * @param {number} minute - Minute (0-59)
+     * @returns {Object|null} {minute, level, ...level profile} or null
+     */
+    getChime(hour, minute) {
+        const entry = this._entriesFor(hour).find(e => e.minute === minute);
+        return entry ? this._withProfile(entry) : null;
+    }
+
+    /**
+     * All chimes of an hour, in minute order
+     *
+     * @param {number} hour - Hour (0-23)
+     * @returns {Array<Object>}
+     */
+    getChimesForHour(hour) {
+        return this._entriesFor(hour).map(entry => this._withProfile(entry));
+    }
+
+    /**
+     * Visual/audio profile for a significance level.
+     * Levels missing from config scale from level 1.
+     *
+     * @param {number} level - Significance (1 = subtle)
+     * @returns {{rings: number, markerSize: number, companions: number, bellFreq: number, bellVolume: number}}
+     */
+    getLevelProfile(level) {
+        const profile = this.levels[level];
+        if (profile) return profile;
+
+        return {
+            rings: 3 * level,
+            markerSize: 15 + 10 * level,
+            companions: Math.max(0, level - 1),
+            bellFreq: 880 / level,
+            bellVolume: Math.min(0.5, 0.15 + 0.05 * level)
+        };
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    _entriesFor(hour) {
+        return this.hourEntries[hour] || this.defaultEntries;
+    }
+
+    _withProfile(entry) {
+        return { ...this.getLevelProfile(entry.level), minute: entry.minute, level: entry.level };
+    }
+
+    /**
+     * Expand a schedule definition into sorted {minute, level} entries
+     * @private
+     */
+    _normalize(definition, label) {
+        let entries;
+
+        if (Array.isArray(definition)) {
+            entries = definition.map(entry => ({ minute: entry.minute, level: entry.level || 1 }));
+        } else if (definition && typeof definition.every === 'number') {
+            if (!Number.isInteger(definition.every) || definition.every <= 0 || definition.every > 60) {
+                throw new Error(`ChimeSchedule: ${label}.every must be a whole number between 1 and 60, got ${definition.every}`);
+            }
+            // null or missing: first chime at `every` (so every: 60 adds none)
+            const offset = definition.offset ?? null;
+            if (offset !== null && (!Number.isInteger(offset) || offset < 0 || offset > 59)) {
+                throw new Error(`ChimeSchedule: ${label}.offset must be a whole number between 0 and 59, got ${offset}`);
+            }
+
+            entries = [];
+            for (let minute = offset ?? definition.every; minute < 60; minute += definition.every) {
+                entries.push({ minute, level: definition.level || 1 });
+            }
+        } else {
+            throw new Error(`ChimeSchedule: ${label} must be a list of {minute, level} or {every, level}`);
+        }
+
+        entries.forEach(entry => {
+            if (!Number.isInteger(entry.minute) || entry.minute < 0 || entry.minute > 59) {
+                throw new Error(`ChimeSchedule: ${label} has invalid minute ${entry.minute}`);
+            }
+            if (!Number.isInteger(entry.level) || entry.level < 1) {
+                throw new Error(`ChimeSchedule: ${label} has invalid level ${entry.level} at minute ${entry.minute}`);
+            }
+        });
+
+        return entries.sort((a, b) => a.minute - b.minute);
+    }
+}
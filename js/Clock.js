@@ -1,27 +1,69 @@
 ﻿/**
  * Clock.js - Time tracking and event emission
- * 
+ *
  * PHILOSOPHY: "Objective Time vs Subjective Experience"
  * The clock represents objective, universal time - it flows equally for everyone.
  * Events (second/minute/hour/chime) are discrete temporal signposts.
  * Yet how we experience these moments (through ink traces) varies based on attention.
- * 
- * Chimes (15/30/45 min) are stronger temporal anchors - cultural time markers
- * that help us orient without looking at numbers.
- * 
- * Simulation mode starts at 00:00:00 for canvas demonstration purposes.
+ *
+ * Chimes (by default 15/30/45 min, see ChimeSchedule) are stronger temporal
+ * anchors - cultural time markers that help us orient without looking at numbers.
+ *
+ * Two modes (CONFIG.time.useRealTime):
+ * - Real-time: follows the wall clock, either the browser's local zone or an
+ *   IANA zone from CONFIG.time.timeZone (e.g. 'Asia/Seoul'). Events fire on
+ *   actual second/minute/hour boundaries.
+ * - Simulation: starts at 00:00:00 on page load (canvas demonstration mode),
+ *   optionally accelerated by CONFIG.time.speedMultiplier.
+ *
+ * Time itself comes from an injected TimeSource (see core/TimeSource.js), so
+ * tests and demos can swap in a VirtualTimeSource and step through hours.
+ *
+ * Days close like hours: dayComplete at midnight, then day for the new one.
+ * In real-time mode midnight is local to the configured zone.
+ *
+ * With a Calendar attached, scheduled meetings emit event-start/event-end.
+ * Simulated time is treated as "today" so imported events still line up.
  */
 class Clock {
-    constructor(config = CONFIG) {
+    /**
+     * @param {Object} config - Configuration object
+     * @param {TimeSource} [timeSource] - Defaults to the source described by CONFIG.time
+     * @param {ChimeSchedule} [chimeSchedule] - Defaults to CONFIG.chime.schedule
+     * @param {Calendar} [calendar] - Imported schedule for event-start/event-end
+     */
+    constructor(config = CONFIG, timeSource = null, chimeSchedule = null, calendar = null) {
         this.config = config;
         this.lastSecond = -1;
         this.lastMinute = -1;
         this.lastHour = -1;
+        this.lastDay = -1;
+        this.lastTotalSeconds = null;
         this.listeners = {};
-        
-        // Simulation mode: browser start = 00:00:00
-        this.startTime = Date.now(); // when browser opened
-        this.simulationMode = true;  // always use simulation for canvas
+
+        // Catch-up state (backgrounded tab)
+        this.lastUpdateWallMs = null;
+        this.isHidden = false;
+        this.resumedFromHidden = false;
+        this.replayQueue = [];
+
+        const timeConfig = config.time || {};
+
+        this.timeSource = timeSource || TimeSource.fromConfig(timeConfig);
+        this.startTime = this.timeSource.wallNow(); // when browser opened
+        this.chimeSchedule = chimeSchedule || new ChimeSchedule(config.chime);
+
+        // Calendar events in progress (uid → occurrence)
+        this.calendar = calendar;
+        this.activeCalendarEvents = new Map();
+        this._lastUtcOffsetMs = 0;
+        this.simulatedDayStartMs = null;
+
+        // Real-time mode: null = browser local time
+        this.timeZone = null;
+        this._zoneFormatter = null;
+        this._extraZoneFormatters = {}; // getTimeInZone() cache
+        this.setTimeZone(timeConfig.timeZone || null);
     }
 
     on(event, callback) {
@@ -37,91 +79,633 @@ class Clock {
         }
     }
 
+    /**
+     * Advance the clock and emit every boundary crossed since the last update.
+     *
+     * Events for each elapsed second fire in chronological order:
+     * hourComplete → dayComplete → second → minute → chime → hour → day.
+     *
+     * COALESCING POLICY (accelerated time, slow frames):
+     * - minute/chime/hour/day and their *Complete events are never dropped,
+     *   one event per boundary
+     * - at most CONFIG.time.maxSecondEventsPerUpdate `second` events fire per update
+     *   (the most recent ones); the first of them carries `coalesced` = number of
+     *   earlier seconds folded into it
+     * - if the clock moves backwards (DST, time zone change) tracking resyncs
+     *   without replaying anything
+     *
+     * CATCH-UP POLICY (backgrounded tab, see CONFIG.time.catchUp):
+     * - a wall-clock gap longer than gapThresholdMs (or any gap after the tab
+     *   was hidden) is treated as missed time
+     * - completed hours inside the gap collapse into ONE hourComplete carrying
+     *   `skippedHours` (and ONE dayComplete carrying `skippedDays` if midnight
+     *   passed); only the current hour is caught up
+     * - 'replay': missed ticks are queued and drained a few per update, events
+     *   carry `catchUp: true`
+     * - 'summary': a single `catchUp` event describes the missed minutes and
+     *   chimes, then the clock jumps straight to now
+     */
     update() {
-        // Simulation mode: elapsed time since browser start
-        const elapsedMs = Date.now() - this.startTime;
-        
-        // Convert to time components (starts at 00:00:00)
-        const totalSeconds = Math.floor(elapsedMs / 1000);
-        const newSecond = totalSeconds % 60;
-        const newMinute = Math.floor(totalSeconds / 60) % 60;
-        const newHour = Math.floor(totalSeconds / 3600) % 24;
-        
-        // Check for hour boundary (canvas reset trigger)
-        if (newHour !== this.lastHour && this.lastHour !== -1) {
+        const wallNow = this.timeSource.wallNow();
+        const wallGapMs = this.lastUpdateWallMs === null ? 0 : wallNow - this.lastUpdateWallMs;
+        this.lastUpdateWallMs = wallNow;
+
+        // Drain a pending replay before looking at new time
+        if (this.replayQueue.length > 0) {
+            this._drainReplay();
+            return;
+        }
+
+        const totalSeconds = Math.floor(this._getClockMs() / 1000);
+
+        if (this.lastTotalSeconds === null || totalSeconds < this.lastTotalSeconds) {
+            this._resetTracking();
+            this._tick(totalSeconds, true, 0);
+            return;
+        }
+
+        if (totalSeconds > this.lastTotalSeconds) {
+            if (this._isCatchUpGap(wallGapMs, totalSeconds)) {
+                this._catchUp(totalSeconds);
+            } else {
+                this._advanceTo(totalSeconds);
+            }
+        }
+
+        this.resumedFromHidden = false;
+    }
+
+    /**
+     * Notify the clock of page visibility (document.visibilitychange)
+     * @param {boolean} hidden - True while the tab is in the background
+     */
+    setHidden(hidden) {
+        this.isHidden = hidden;
+        if (!hidden) {
+            this.resumedFromHidden = true;
+        }
+    }
+
+    /**
+     * @returns {boolean} True while missed ticks are being replayed
+     */
+    isCatchingUp() {
+        return this.replayQueue.length > 0;
+    }
+
+    /**
+     * Emit events for every second in (lastTotalSeconds, totalSeconds]
+     * @private
+     */
+    _advanceTo(totalSeconds) {
+        this._collectTicks(this.lastTotalSeconds + 1, totalSeconds).forEach(tick => {
+            this._tick(tick.totalSeconds, tick.emitSecond, tick.coalesced);
+        });
+    }
+
+    /**
+     * Ticks for [from, to] under the coalescing policy
+     * @private
+     * @returns {Array<{totalSeconds: number, emitSecond: boolean, coalesced: number}>}
+     */
+    _collectTicks(from, to) {
+        const ticks = [];
+        const budget = Math.max(1, (this.config.time && this.config.time.maxSecondEventsPerUpdate) || 5);
+        const firstEmitted = Math.max(from, to - budget + 1);
+        const coalesced = firstEmitted - from;
+
+        // Coalesced range: only minute boundaries can carry events
+        let nextMinute = Math.ceil(from / 60) * 60;
+        while (nextMinute < firstEmitted) {
+            ticks.push({ totalSeconds: nextMinute, emitSecond: false, coalesced: 0 });
+            nextMinute += 60;
+        }
+
+        for (let s = firstEmitted; s <= to; s++) {
+            ticks.push({ totalSeconds: s, emitSecond: true, coalesced: s === firstEmitted ? coalesced : 0 });
+        }
+
+        return ticks;
+    }
+
+    /**
+     * @private
+     */
+    _isCatchUpGap(wallGapMs, totalSeconds) {
+        const catchUpConfig = this.config.time && this.config.time.catchUp;
+        if (!catchUpConfig || !catchUpConfig.enabled) return false;
+        if (totalSeconds - this.lastTotalSeconds <= 1) return false;
+
+        return wallGapMs > (catchUpConfig.gapThresholdMs || 2000) ||
+            (this.resumedFromHidden && wallGapMs > 1000);
+    }
+
+    /**
+     * Handle a gap of missed time up to totalSeconds
+     * @private
+     */
+    _catchUp(totalSeconds) {
+        const catchUpConfig = this.config.time.catchUp;
+        const hourStart = Math.floor(totalSeconds / 3600) * 3600;
+        let from = this.lastTotalSeconds + 1;
+
+        // Collapse completed hours into a single reset
+        if (from <= hourStart) {
+            const completedHour = this.lastHour;
+            const completedDay = this.lastDay;
+            const completedDate = this._getDateString(this.lastTotalSeconds);
+            const skippedHours = Math.floor(hourStart / 3600) - Math.floor(this.lastTotalSeconds / 3600);
+            const newDay = this._getDayIndex(totalSeconds);
+            // Meetings still running stay tracked: no second event-start, and an event-end for those that ended
+            const activeCalendarEvents = this.activeCalendarEvents;
+            this._resetTracking();
+            this.activeCalendarEvents = activeCalendarEvents;
+            // Same day: no 'day' event on the next tick (a new day still gets one, dayComplete is sent below)
+            this.lastDay = newDay === completedDay ? newDay : -1;
             this.emit('hourComplete', {
-                completedHour: this.lastHour,
-                newHour: newHour
+                completedHour,
+                completedDay,
+                newHour: this._getTimeComponents(totalSeconds * 1000).hour,
+                skippedHours,
+                catchUp: true
             });
+            if (newDay !== completedDay) {
+                this.emit('dayComplete', {
+                    completedDay,
+                    completedDate,
+                    newDay,
+                    skippedDays: newDay - completedDay,
+                    catchUp: true
+                });
+            }
+            from = hourStart;
         }
 
-        if (newSecond !== this.lastSecond) {
-            this.emit('second', { second: newSecond, minute: newMinute, hour: newHour });
-            this.lastSecond = newSecond;
+        if (catchUpConfig.mode === 'summary') {
+            this._emitCatchUpSummary(from, totalSeconds);
+            this._tick(totalSeconds, true, totalSeconds - from);
+            return;
         }
 
-        if (newMinute !== this.lastMinute) {
-            this.emit('minute', { minute: newMinute, hour: newHour });
+        this.replayQueue = this._collectTicks(from, totalSeconds);
+        this.emit('catchUp', {
+            mode: 'replay',
+            fromSeconds: from,
+            toSeconds: totalSeconds,
+            ticks: this.replayQueue.length
+        });
+        this._drainReplay();
+    }
 
-            if ([15, 30, 45].includes(newMinute)) {
-                this.emit('chime', { minute: newMinute, hour: newHour });
+    /**
+     * Describe the missed span of the current hour in one event
+     * @private
+     */
+    _emitCatchUpSummary(from, to) {
+        const missedMinutes = [];
+        const missedChimes = [];
+        const hour = this._getTimeComponents(to * 1000).hour;
+
+        // The minute containing `to` is emitted by the regular tick
+        const currentMinuteStart = Math.floor(to / 60) * 60;
+        for (let s = Math.ceil(from / 60) * 60; s < currentMinuteStart; s += 60) {
+            const minute = this._getTimeComponents(s * 1000).minute;
+            missedMinutes.push(minute);
+
+            const chime = this.chimeSchedule.getChime(hour, minute);
+            if (chime) {
+                missedChimes.push(chime);
             }
+        }
 
-            this.lastMinute = newMinute;
+        this.emit('catchUp', {
+            mode: 'summary',
+            fromSeconds: from,
+            toSeconds: to,
+            hour,
+            missedSeconds: to - from,
+            missedMinutes,
+            missedChimes
+        });
+    }
+
+    /**
+     * Emit the next few queued replay ticks
+     * @private
+     */
+    _drainReplay() {
+        const perUpdate = Math.max(1, this.config.time.catchUp.ticksPerUpdate || 4);
+        const batch = this.replayQueue.splice(0, perUpdate);
+
+        batch.forEach(tick => {
+            this._tick(tick.totalSeconds, tick.emitSecond, tick.coalesced, true);
+        });
+
+        if (this.replayQueue.length === 0) {
+            this.emit('catchUpComplete', { toSeconds: this.lastTotalSeconds });
         }
+    }
+
+    /**
+     * Emit the events for a single clock second
+     * @private
+     * @param {number} totalSeconds - Seconds since clock epoch
+     * @param {boolean} emitSecond - Whether to emit the `second` event
+     * @param {number} coalesced - Number of skipped seconds folded into this one
+     * @param {boolean} [catchUp=false] - Whether this tick replays missed time
+     */
+    _tick(totalSeconds, emitSecond, coalesced, catchUp = false) {
+        const { second: newSecond, minute: newMinute, hour: newHour } = this._getTimeComponents(totalSeconds * 1000);
+        const newDay = this._getDayIndex(totalSeconds);
 
+        // Check for hour boundary (canvas reset trigger)
         if (newHour !== this.lastHour && this.lastHour !== -1) {
             this.emit('hourComplete', {
                 completedHour: this.lastHour,
-                newHour: newHour
+                completedDay: this.lastDay,
+                newHour: newHour,
+                catchUp
             });
         }
-        
+
+        // Midnight (archive cycle trigger)
+        if (newDay !== this.lastDay && this.lastDay !== -1) {
+            this.emit('dayComplete', {
+                completedDay: this.lastDay,
+                completedDate: this._getDateString(this.lastTotalSeconds),
+                newDay,
+                skippedDays: newDay - this.lastDay,
+                catchUp
+            });
+        }
+
+        if (emitSecond) {
+            this.emit('second', { second: newSecond, minute: newMinute, hour: newHour, coalesced, catchUp });
+        }
+        this.lastSecond = newSecond;
+
+        if (newMinute !== this.lastMinute) {
+            this.emit('minute', { minute: newMinute, hour: newHour, catchUp });
+
+            const chime = this.chimeSchedule.getChime(newHour, newMinute);
+            if (chime) {
+                this.emit('chime', { minute: newMinute, hour: newHour, level: chime.level, profile: chime, catchUp });
+            }
+
+            this.lastMinute = newMinute;
+        }
+
         if (newHour !== this.lastHour) {
-            this.emit('hour', { hour: newHour });
+            this.emit('hour', { hour: newHour, catchUp });
+        }
+
+        if (newDay !== this.lastDay) {
+            this.emit('day', { day: newDay, date: this._getDateString(totalSeconds), catchUp });
         }
-        
+
         this.lastHour = newHour;
+        this.lastDay = newDay;
+        this.lastTotalSeconds = totalSeconds;
+
+        this._updateCalendarEvents(totalSeconds, catchUp);
+    }
+
+    /**
+     * Emit event-end / event-start for calendar occurrences at this clock second
+     * @private
+     */
+    _updateCalendarEvents(totalSeconds, catchUp) {
+        if (!this.calendar || (!this.calendar.hasEvents() && this.activeCalendarEvents.size === 0)) return;
+
+        const epochMs = this._faceToEpochMs(totalSeconds * 1000);
+        const nowActive = new Map();
+        this.calendar.getActiveEvents(epochMs).forEach(occurrence => {
+            nowActive.set(occurrence.uid, occurrence);
+        });
+
+        this.activeCalendarEvents.forEach((occurrence, uid) => {
+            if (!nowActive.has(uid)) {
+                this.emit('event-end', { ...occurrence, catchUp });
+            }
+        });
+
+        nowActive.forEach((occurrence, uid) => {
+            if (!this.activeCalendarEvents.has(uid)) {
+                this.emit('event-start', { ...occurrence, catchUp });
+            }
+        });
+
+        this.activeCalendarEvents = nowActive;
     }
 
+    /**
+     * Attach (or detach with null) an imported calendar
+     * @param {Calendar|null} calendar
+     */
+    setCalendar(calendar) {
+        this.calendar = calendar;
+        this.activeCalendarEvents = new Map();
+    }
+
+    /**
+     * Calendar occurrences overlapping the current clock hour that have not
+     * ended yet, as minute offsets into the hour (for the sun's lane)
+     *
+     * @returns {Array<{uid: string, summary: string, startMinute: number, endMinute: number, isActive: boolean}>}
+     */
+    getCalendarEventsForCurrentHour() {
+        if (!this.calendar || !this.calendar.hasEvents()) return [];
+
+        const clockMs = this._getClockMs();
+        const hourStartMs = this._faceToEpochMs(Math.floor(clockMs / 3600000) * 3600000);
+        const nowMs = this._faceToEpochMs(clockMs);
+        const hourEndMs = hourStartMs + 3600000;
 
+        return this.calendar.getEventsBetween(nowMs, hourEndMs).map(occurrence => ({
+            uid: occurrence.uid,
+            summary: occurrence.summary,
+            startMinute: Math.max(0, (occurrence.start - hourStartMs) / 60000),
+            endMinute: Math.min(60, (occurrence.end - hourStartMs) / 60000),
+            isActive: this.activeCalendarEvents.has(occurrence.uid)
+        }));
+    }
+
+    /**
+     * Swap the time source (resets event tracking)
+     * @param {TimeSource} timeSource
+     */
+    setTimeSource(timeSource) {
+        if (!timeSource || typeof timeSource.now !== 'function') {
+            throw new Error('Clock: timeSource must implement now()');
+        }
+
+        this.timeSource = timeSource;
+        this.lastUpdateWallMs = null;
+        this.simulatedDayStartMs = null;
+        this._resetTracking();
+    }
+
+    /**
+     * Jump to a given time of day.
+     * The wall clock cannot be moved, so a real-time clock switches to a simulated source.
+     */
     setTime(hour, minute, second) {
-        const totalSeconds = hour * 3600 + minute * 60 + second;
-        this.startTime = Date.now() - totalSeconds * 1000;
-        
-        // Reset last tracked time to force event emission on next update
-        this.lastSecond = -1;
-        this.lastMinute = -1;
-        this.lastHour = -1;
-}
+        const totalMs = (hour * 3600 + minute * 60 + second) * 1000;
+
+        if (typeof this.timeSource.setTime === 'function') {
+            this.timeSource.setTime(totalMs);
+            // Reset last tracked time to force event emission on next update
+            this._resetTracking();
+        } else {
+            this.setTimeSource(new SimulatedTimeSource({
+                speedMultiplier: this.config.time?.speedMultiplier,
+                startMs: totalMs
+            }));
+        }
+    }
+
+    /**
+     * Change simulated time speed without jumping the displayed time.
+     * @param {number} multiplier - 1 = real speed, 60 = one minute per second
+     */
+    setSpeedMultiplier(multiplier) {
+        if (typeof this.timeSource.setSpeedMultiplier !== 'function') {
+            console.warn('Clock: current time source has no speed control');
+            return;
+        }
+
+        this.timeSource.setSpeedMultiplier(multiplier);
+    }
+
+    /**
+     * Follow the wall clock (true) or the simulated clock (false).
+     * @param {boolean} useRealTime
+     */
+    setRealTime(useRealTime) {
+        this.setTimeSource(useRealTime
+            ? new RealTimeSource()
+            : new SimulatedTimeSource({ speedMultiplier: this.config.time?.speedMultiplier }));
+    }
+
+    /**
+     * @returns {boolean} True when following the wall clock
+     */
+    isRealTime() {
+        return this.timeSource.isWallClock;
+    }
+
+    /**
+     * Select the time zone used in real-time mode.
+     * Invalid IANA names fall back to browser local time.
+     *
+     * @param {string|null} timeZone - IANA zone name (e.g. 'Europe/Berlin'), null = local
+     * @returns {boolean} True if the requested zone is active
+     */
+    setTimeZone(timeZone) {
+        this.timeZone = null;
+        this._zoneFormatter = null;
+        this.simulatedDayStartMs = null;
+
+        if (timeZone) {
+            try {
+                this._zoneFormatter = this._createZoneFormatter(timeZone);
+                this.timeZone = timeZone;
+            } catch (error) {
+                console.warn(`Clock: unknown time zone '${timeZone}', using local time`);
+            }
+        }
+
+        this._resetTracking();
+        return this.timeZone === timeZone;
+    }
+
+    /**
+     * Wall time in another zone at the clock's current instant
+     * (simulated time is projected from today, like calendar events)
+     *
+     * @param {string} timeZone - IANA zone name (e.g. 'Asia/Tokyo')
+     * @returns {{second: number, minute: number, hour: number}}
+     * @throws {Error} If the zone is unknown
+     */
+    getTimeInZone(timeZone) {
+        if (!this._extraZoneFormatters[timeZone]) {
+            try {
+                this._extraZoneFormatters[timeZone] = this._createZoneFormatter(timeZone);
+            } catch (error) {
+                throw new Error(`Clock: unknown time zone '${timeZone}'`);
+            }
+        }
+
+        const epochMs = this.getEpochMs();
+        const offsetMs = this._getUtcOffsetMs(epochMs, this._extraZoneFormatters[timeZone]);
+        return this._getTimeComponents(epochMs + offsetMs);
+    }
+
+    getCurrentSecond() {
+        return this._getTimeComponents().second;
+    }
 
     getCurrentMinute() {
-        const elapsedMs = Date.now() - this.startTime;
-        const totalSeconds = Math.floor(elapsedMs / 1000);
-        return Math.floor(totalSeconds / 60) % 60;
+        return this._getTimeComponents().minute;
     }
 
     getCurrentHour() {
-        const elapsedMs = Date.now() - this.startTime;
-        const totalSeconds = Math.floor(elapsedMs / 1000);
-        return Math.floor(totalSeconds / 3600) % 24;
+        return this._getTimeComponents().hour;
+    }
+
+    /**
+     * The current clock time as a real instant (Unix ms).
+     * Simulated time maps onto today, so accelerated demos still see sunrise/sunset.
+     */
+    getEpochMs() {
+        return this._faceToEpochMs(this._getClockMs());
+    }
+
+    /**
+     * Days since the clock epoch (Unix epoch in the active zone, or the
+     * start of the simulation)
+     */
+    getCurrentDay() {
+        return this._getDayIndex(Math.floor(this._getClockMs() / 1000));
     }
 
     getTimeString() {
-        const elapsedMs = Date.now() - this.startTime;
-        const totalSeconds = Math.floor(elapsedMs / 1000);
-        
-        const s = totalSeconds % 60;
-        const m = Math.floor(totalSeconds / 60) % 60;
-        const h = Math.floor(totalSeconds / 3600) % 24;
-        
+        const { second: s, minute: m, hour: h } = this._getTimeComponents();
+
         return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
     }
-    
+
     /**
      * Get elapsed time since browser start (for debugging)
      */
     getElapsedTime() {
-        return Date.now() - this.startTime;
+        return this.timeSource.wallNow() - this.startTime;
+    }
+
+    /**
+     * Milliseconds on the clock face since its epoch.
+     * Simulated/virtual sources already count from 00:00:00. Wall-clock sources
+     * return Unix time, shifted into the selected zone so UTC arithmetic on the
+     * result yields local hour/minute/second.
+     * @private
+     */
+    _getClockMs() {
+        const now = this.timeSource.now();
+
+        if (!this.timeSource.isWallClock) {
+            return now;
+        }
+
+        this._lastUtcOffsetMs = this._getUtcOffsetMs(now);
+        return now + this._lastUtcOffsetMs;
+    }
+
+    /**
+     * Clock-face ms → Unix ms.
+     * Simulated 00:00:00 is pinned to the start of today (in the active zone),
+     * so a demo day runs through today's calendar.
+     * @private
+     */
+    _faceToEpochMs(clockMs) {
+        if (this.timeSource.isWallClock) {
+            return clockMs - this._lastUtcOffsetMs;
+        }
+
+        if (this.simulatedDayStartMs === null) {
+            const now = Date.now();
+            const offset = this._getUtcOffsetMs(now);
+            this.simulatedDayStartMs = Math.floor((now + offset) / 86400000) * 86400000 - offset;
+        }
+
+        return this.simulatedDayStartMs + clockMs;
+    }
+
+    /**
+     * @private
+     * @throws {RangeError} If the zone is unknown
+     */
+    _createZoneFormatter(timeZone) {
+        return new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        });
+    }
+
+    /**
+     * Offset of a zone (default: the active one) from UTC at the given instant (DST-aware)
+     * @private
+     */
+    _getUtcOffsetMs(now, formatter = this._zoneFormatter) {
+        if (!formatter) {
+            return -new Date(now).getTimezoneOffset() * 60000;
+        }
+
+        const parts = {};
+        formatter.formatToParts(new Date(now)).forEach(part => {
+            parts[part.type] = part.value;
+        });
+
+        const zonedAsUtc = Date.UTC(
+            Number(parts.year),
+            Number(parts.month) - 1,
+            Number(parts.day),
+            Number(parts.hour) % 24,
+            Number(parts.minute),
+            Number(parts.second)
+        );
+
+        return zonedAsUtc - Math.floor(now / 1000) * 1000;
+    }
+
+    /**
+     * @private
+     * @returns {{second: number, minute: number, hour: number}}
+     */
+    _getTimeComponents(clockMs = this._getClockMs()) {
+        const totalSeconds = Math.floor(clockMs / 1000);
+
+        return {
+            second: totalSeconds % 60,
+            minute: Math.floor(totalSeconds / 60) % 60,
+            hour: Math.floor(totalSeconds / 3600) % 24
+        };
+    }
+
+    /**
+     * @private
+     */
+    _getDayIndex(totalSeconds) {
+        return Math.floor(totalSeconds / 86400);
+    }
+
+    /**
+     * Calendar date (YYYY-MM-DD) of a clock second in real-time mode;
+     * simulated days have no date, only an index
+     * @private
+     * @returns {string|null}
+     */
+    _getDateString(totalSeconds) {
+        if (!this.timeSource.isWallClock) return null;
+
+        return new Date(totalSeconds * 1000).toISOString().slice(0, 10);
+    }
+
+    /**
+     * @private
+     */
+    _resetTracking() {
+        this.lastSecond = -1;
+        this.lastMinute = -1;
+        this.lastHour = -1;
+        this.lastDay = -1;
+        this.lastTotalSeconds = null;
+        this.replayQueue = [];
+        this.activeCalendarEvents = new Map();
     }
 }
@@ -11,12 +11,29 @@
  * - Subtle cool→warm gradient for time readability without numbers
  * - Paper absorption simulation (desaturation + darkening)
  * - Turbulence = mixed ink effect (distracted mind muddies perception)
+ * - The real sun (SolarCycle) tints ink, paper and SunDrop: dawn, day, dusk, night
+ * - Overlapping stains mix as pigments (CONFIG.colors.mixingModel, mixPigments):
+ *   Kubelka-Munk absorption/scattering per channel instead of RGB multiply, so
+ *   Prussian Blue over Burnt Sienna gives a muted slate, not muddy black
  */
 class ColorManager {
-    constructor(config = CONFIG) {
+    /**
+     * @param {Object} config - Configuration object
+     * @param {SolarCycle} [solarCycle] - Solar position for day-phase modulation
+     */
+    constructor(config = CONFIG, solarCycle = null) {
         this.config = config;
         this.colorGradient = [];
         this.currentTurbulence = 0;
+        this.solarCycle = solarCycle;
+        this.solarPhase = null;      // latest SolarCycle.getPhase() result
+        this.solarProfile = null;    // blended {ink, inkAmount, paper, sun}
+        
+        this.mixingModel = config.colors.mixingModel || 'multiply';
+        if (!['multiply', 'kubelka-munk'].includes(this.mixingModel)) {
+            throw new Error(`ColorManager: unknown mixingModel '${this.mixingModel}'`);
+        }
+        
         this.buildGradient();
     }
 
@@ -64,11 +81,41 @@ class ColorManager {
     }
 
     /**
-     * Update with current turbulence level
+     * Update with current turbulence level and solar phase
      * @param {number} turbulence - Current turbulence (0-1)
+     * @param {number|null} epochMs - Current Unix time (Clock.getEpochMs()), null = no solar update
      */
-    update(turbulence = 0) {
+    update(turbulence = 0, epochMs = null) {
         this.currentTurbulence = constrain(turbulence, 0, 1);
+
+        const solarConfig = this.config.colors.solar;
+        if (this.solarCycle && solarConfig && solarConfig.enabled && epochMs !== null) {
+            this.solarPhase = this.solarCycle.getPhase(epochMs);
+            this.solarProfile = this._blendPhaseProfiles(this.solarPhase.weights);
+        }
+    }
+
+    /**
+     * @returns {string|null} 'night' | 'dawn' | 'day' | 'dusk', null before the first solar update
+     */
+    getSolarPhase() {
+        return this.solarPhase ? this.solarPhase.phase : null;
+    }
+
+    /**
+     * Paper color for the background layer
+     * @returns {Array<number>} [r, g, b]
+     */
+    getBackgroundColor() {
+        return this.solarProfile ? this.solarProfile.paper : this.config.canvas.backgroundColor;
+    }
+
+    /**
+     * SunDrop color: golden by day, ember at dusk, pale at night
+     * @returns {Array<number>} [r, g, b]
+     */
+    getSunColor() {
+        return this.solarProfile ? this.solarProfile.sun : this.config.sun.color;
     }
 
     /**
@@ -78,9 +125,10 @@ class ColorManager {
      * @param {number} minute - minute of the hour (0-59)
      * @param {number} hour - hour of the day (0-23)
      * @param {number} sonificationValue - audio brightness value (0-1) for visual-audio feedback
+     * @param {number} concentration - ink already in the water where the drop lands (0-1)
      * @returns {p5.Color} realistic ink color
      */
-    getColorForTime(minute, hour, sonificationValue = 0.5) {
+    getColorForTime(minute, hour, sonificationValue = 0.5, concentration = 0) {
         minute = constrain(minute, 0, 59);
         let c = this.colorGradient[minute];
 
@@ -96,6 +144,14 @@ class ColorManager {
         g *= brightnessFactor;
         b *= brightnessFactor;
 
+        // Effect 0: The sky's light (dawn rose, dusk ember, night indigo)
+        if (this.solarProfile && this.solarProfile.inkAmount > 0) {
+            const { ink, inkAmount } = this.solarProfile;
+            r = lerp(r, ink[0], inkAmount);
+            g = lerp(g, ink[1], inkAmount);
+            b = lerp(b, ink[2], inkAmount);
+        }
+
         // Effect 1: Turbulence creates "muddy" mixed ink
         // PHILOSOPHY: Scattered attention muddies perception
         // When distracted, colors lose their purity and blend chaotically
@@ -117,9 +173,17 @@ class ColorManager {
             b += muddyShift * 0.1;
         }
 
-        // Effect 2: Paper absorption (slight darkening)
+        // Effect 1b: Pigment pooling - ink landing in inked water reads deeper
+        if (concentration > 0) {
+            const pooling = 1 - this.config.fluid.dye.pooling * constrain(concentration, 0, 1);
+            r *= pooling;
+            g *= pooling;
+            b *= pooling;
+        }
+
+        // Effect 2: Paper absorption (darker at night, full brightness in daylight)
         if (this.config.colors.hourVariation.enabled) {
-            const brightness = this.config.colors.hourVariation.brightnessRange[0];
+            const brightness = this._getDaylightBrightness(hour);
             r *= brightness;
             g *= brightness;
             b *= brightness;
@@ -166,6 +230,40 @@ class ColorManager {
         return color(r, g, b);
     }
 
+    /**
+     * Mix a pigment into one already on the paper
+     * 
+     * - 'multiply': RGB product (the legacy MULTIPLY blend; amount is ignored)
+     * - 'kubelka-munk': each channel's reflectance R becomes an absorption/scattering
+     *   ratio K/S = (1 - R)² / 2R, the ratios mix linearly by amount, and the mix is
+     *   converted back (R = 1 + K/S - √((K/S)² + 2·K/S)). Pigments darken each
+     *   other the way real ink does, without collapsing to gray.
+     * 
+     * @param {{r: number, g: number, b: number}} base - Pigment already on the paper (0-255)
+     * @param {{r: number, g: number, b: number}} added - Pigment laid over it (0-255)
+     * @param {number} amount - Share of the added pigment (0-1)
+     * @returns {{r: number, g: number, b: number}} Mixed pigment (0-255)
+     */
+    mixPigments(base, added, amount) {
+        if (this.mixingModel === 'multiply') {
+            return { r: base.r * added.r / 255, g: base.g * added.g / 255, b: base.b * added.b / 255 };
+        }
+        
+        const mixChannel = (under, over) => {
+            const ks = lerp(this._toKS(under), this._toKS(over), amount);
+            return (1 + ks - Math.sqrt(ks * ks + 2 * ks)) * 255;
+        };
+        return { r: mixChannel(base.r, added.r), g: mixChannel(base.g, added.g), b: mixChannel(base.b, added.b) };
+    }
+
+    /**
+     * @returns {boolean} Whether stains are mixed by mixPigments (drawn normally)
+     *          rather than with the MULTIPLY blend mode
+     */
+    mixesPigments() {
+        return this.mixingModel !== 'multiply';
+    }
+
     /**
      * Get color by drop type with size-based adjustments
      * Larger drops = more pigment = slightly darker
@@ -202,4 +300,73 @@ class ColorManager {
 
         return baseColor;
     }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Kubelka-Munk absorption/scattering ratio of a channel (0-255)
+     * @private
+     */
+    _toKS(channel) {
+        const reflectance = Math.min(1, Math.max(channel / 255, 0.001));
+        return (1 - reflectance) * (1 - reflectance) / (2 * reflectance);
+    }
+
+    /**
+     * Ink brightness from hourVariation.brightnessRange
+     * Uses the real sun when available, otherwise a cosine day curve (dark at 00, bright at 12)
+     * @private
+     */
+    _getDaylightBrightness(hour) {
+        const hourVariation = this.config.colors.hourVariation;
+        const [darkest, brightest] = hourVariation.brightnessRange;
+
+        if (!hourVariation.darknessByHour) return darkest;
+
+        const daylight = this.solarPhase
+            ? this.solarPhase.daylight
+            : (1 - Math.cos((hour / 24) * Math.PI * 2)) / 2;
+
+        return lerp(darkest, brightest, daylight);
+    }
+
+    /**
+     * Weighted mix of CONFIG.colors.solar.phases
+     * @private
+     */
+    _blendPhaseProfiles(weights) {
+        const phases = this.config.colors.solar.phases;
+        const paper = [0, 0, 0];
+        const sun = [0, 0, 0];
+        const ink = [0, 0, 0];
+        let inkAmount = 0;
+
+        Object.keys(weights).forEach(name => {
+            const weight = weights[name];
+            const profile = phases[name];
+            if (!profile || weight === 0) return;
+
+            for (let i = 0; i < 3; i++) {
+                paper[i] += profile.paper[i] * weight;
+                sun[i] += profile.sun[i] * weight;
+            }
+
+            // Ink tint is weighted by its own strength so "no tint" phases dilute it
+            if (profile.ink && profile.inkAmount > 0) {
+                const inkWeight = weight * profile.inkAmount;
+                for (let i = 0; i < 3; i++) {
+                    ink[i] += profile.ink[i] * inkWeight;
+                }
+                inkAmount += inkWeight;
+            }
+        });
+
+        if (inkAmount > 0) {
+            for (let i = 0; i < 3; i++) {
+                ink[i] /= inkAmount;
+            }
+        }
+
+        return { ink, inkAmount, paper, sun };
+    }
 }
@@ -2,7 +2,7 @@
  * CymaticPattern.js - Visual representation of sound waves
  * 
  * PHILOSOPHY (Pillar 2): "Cymatics & Chimes - Seeing the Sound of Time"
- * At 15, 30, and 45 minutes, a "Chime" event occurs. This doesn't just create
+ * At every scheduled chime (15, 30 and 45 minutes by default), a "Chime" event occurs. This doesn't just create
  * a sound; it creates a *visible sound wave* (Cymatics) that physically interacts
  * with the fluid. Sound becomes a tangible force, creating ripples in the
  * "attention reservoir" that push and swirl the ink drops.
@@ -10,16 +10,18 @@
  * This is a profound synesthetic experience where time is not just heard,
  * but seen and felt as a physical force.
  * 
- * Pattern intensity corresponds to time's significance:
- * - 15 minutes: 3 rings (quarter hour)
- * - 30 minutes: 6 rings (half hour - more significant)
- * - 45 minutes: 9 rings (three-quarters - most significant)
+ * Pattern intensity corresponds to the chime's significance level
+ * (CONFIG.chime.levels), by default:
+ * - level 1: 3 rings (quarter hour)
+ * - level 2: 6 rings (half hour - more significant)
+ * - level 3: 9 rings (three-quarters - most significant)
  * 
  * @class
  * @property {p5.Vector} pos - Pattern center position
  * @property {Object} config - Configuration object
- * @property {number} minute - Minute value (determines ring count)
- * @property {number} ringCount - Number of rings (3, 6, or 9)
+ * @property {number} minute - Minute value (determines color)
+ * @property {number} level - Chime significance level
+ * @property {number} ringCount - Number of rings (from the level profile)
  * @property {Array<Object>} rings - Ring data structures
  * @property {number} maxRadius - Maximum ring radius
  * @property {number} age - Current age in frames
@@ -33,19 +35,40 @@ class CymaticPattern {
      * @param {number} x - Center X position
      * @param {number} y - Center Y position
      * @param {number} minute - Current minute (0-59)
+     * @param {Object} profile - Chime level profile ({level, rings}) from ChimeSchedule
      * @param {Object} config - Configuration object (default: CONFIG)
      */
-    constructor(x, y, minute, config = CONFIG) {
+    constructor(x, y, minute, profile = {}, config = CONFIG) {
         this.pos = createVector(x, y);
         this.config = config;
+        this.rings = [];
+        this._flow = { x: 0, y: 0 }; // drift() sample
+        
+        // Visual properties
+        this.baseAlpha = 80;
+        this.baseStrokeWeight = 3;
+        
+        this.reset(x, y, minute, profile);
+    }
+    
+    /**
+     * Start the pattern over at a new chime (also used by ObjectPool to reuse instances)
+     * 
+     * @param {number} x - Center X position
+     * @param {number} y - Center Y position
+     * @param {number} minute - Current minute (0-59)
+     * @param {Object} profile - Chime level profile ({level, rings}) from ChimeSchedule
+     */
+    reset(x, y, minute, profile = {}) {
+        this.pos.set(x, y);
         this.minute = minute;
+        this.level = profile.level || 1;
         
-        // Determine ring count based on minute
-        // 15min = 3, 30min = 6, 45min = 9
-        this.ringCount = (minute / 15) * 3;
+        // Ring count comes from significance, not the minute number
+        this.ringCount = Math.max(1, profile.rings || this.level * 3);
         
         // Ring properties
-        this.rings = [];
+        this.rings.length = 0;
         this.maxRadius = min(width, height) / 3; // 1/3 of screen as per concept
         this.ringSpacing = this.maxRadius / this.ringCount;
         
@@ -54,10 +77,6 @@ class CymaticPattern {
         this.maxAge = 180; // 3 seconds @ 60fps
         this.isDead = false;
         
-        // Visual properties
-        this.baseAlpha = 80;
-        this.baseStrokeWeight = 3;
-        
         // Initialize rings with staggered start times
         for (let i = 0; i < this.ringCount; i++) {
             this.rings.push({
@@ -69,6 +88,18 @@ class CymaticPattern {
         }
     }
     
+    /**
+     * Ride the water: the pattern's center is carried by the flow like the ink
+     * (so a ripple near a sun is pushed aside and swept into its wake)
+     * 
+     * @param {Fluid} fluid - Fluid to sample at the center
+     */
+    drift(fluid) {
+        const flow = fluid.sampleVelocity(this.pos.x, this.pos.y, this._flow);
+        this.pos.x += flow.x;
+        this.pos.y += flow.y;
+    }
+    
     /**
      * Update cymatics pattern animation and return active rings for fluid interaction
      * PHILOSOPHY: Sound creates visible waves that physically disturb the fluid medium
@@ -127,7 +158,8 @@ class CymaticPattern {
         
         // Get color from ColorManager for current minute
         const colorManager = container.get('colorManager');
-        const chimeColor = colorManager.getColorForTime(this.minute, hour());
+        const clock = container.get('clock');
+        const chimeColor = colorManager.getColorForTime(this.minute, clock.getCurrentHour());
         
         this.rings.forEach(ring => {
             if (ring.radius > 0) {
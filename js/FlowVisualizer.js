@@ -0,0 +1,315 @@
+/**
+ * FlowVisualizer.js - Seeing the water itself
+ *
+ * PHILOSOPHY: "Making the Invisible Current Visible"
+ * The ink only hints at the reservoir's motion. When tuning noiseScale,
+ * mouseForce or viscosity, we need to see the current directly - where it
+ * runs, where it curls, where it is still.
+ *
+ * MODES (CONFIG.visualization.modes, cycled with the V key):
+ * - 'arrows':      one vector per cell (Fluid.displayField)
+ * - 'streamlines': animated tracers leaving fading streaks
+ * - 'lic':         line-integral convolution - noise smeared along the flow,
+ *                  refreshed progressively (a band of rows per frame)
+ * - 'vorticity':   curl heatmap (warm = clockwise, cool = counter-clockwise)
+ *
+ * Buffers follow the canvas and grid size, so the overlay survives a resize.
+ *
+ * @example
+ * visualizer.cycleMode();  // 'off' → 'arrows' → ...
+ * visualizer.render();     // after the layers are composited
+ */
+class FlowVisualizer {
+    /**
+     * @param {Object} config - Configuration object (uses CONFIG.visualization)
+     * @param {Fluid} fluid - Fluid to visualize
+     */
+    constructor(config, fluid) {
+        if (!fluid) {
+            throw new Error('FlowVisualizer: fluid is required');
+        }
+
+        this.config = config.visualization;
+        this.debugConfig = config.debug;
+        this.fluid = fluid;
+        this.mode = config.interaction.fluidDrag.visualFeedback ? 'arrows' : 'off';
+
+        this._sample = { x: 0, y: 0 };
+
+        // Streamlines
+        this.traceLayer = null;
+        this.tracers = null; // {x, y, age} Float32Arrays
+
+        // LIC
+        this.licGraphics = null;
+        this.licNoise = null;
+        this.licRow = 0;
+
+        // Vorticity heatmap
+        this.heatGraphics = null;
+    }
+
+    /**
+     * Advance to the next mode in CONFIG.visualization.modes
+     * @returns {string} New mode
+     */
+    cycleMode() {
+        const modes = this.config.modes;
+        this.setMode(modes[(modes.indexOf(this.mode) + 1) % modes.length]);
+        return this.mode;
+    }
+
+    /**
+     * @param {string} mode - One of CONFIG.visualization.modes
+     */
+    setMode(mode) {
+        if (!this.config.modes.includes(mode)) {
+            throw new Error(`FlowVisualizer: unknown mode '${mode}'`);
+        }
+
+        this.mode = mode;
+        if (this.traceLayer) this.traceLayer.clear();
+        this.tracers = null;
+        this.licRow = 0;
+    }
+
+    /**
+     * Draw the overlay for the current mode onto the main canvas
+     */
+    render() {
+        switch (this.mode) {
+            case 'arrows':
+                this.fluid.displayField(this.config.arrowScale);
+                break;
+            case 'streamlines':
+                this._renderStreamlines();
+                break;
+            case 'lic':
+                this._renderLIC();
+                break;
+            case 'vorticity':
+                this._renderVorticity();
+                break;
+            default:
+                return;
+        }
+
+        this._renderLegend();
+    }
+
+    /**
+     * Debug: fluid grid lines and solid (obstacle) cells (CONFIG.debug.showGrid)
+     */
+    renderGrid() {
+        if (!this.debugConfig.showGrid) return;
+
+        const fluid = this.fluid;
+        const resolution = fluid.resolution;
+
+        push();
+        stroke(0, 18);
+        strokeWeight(1);
+        for (let x = 0; x <= fluid.cols; x++) line(x * resolution, 0, x * resolution, height);
+        for (let y = 0; y <= fluid.rows; y++) line(0, y * resolution, width, y * resolution);
+
+        noStroke();
+        fill(0, 30);
+        for (let gy = 0; gy < fluid.rows; gy++) {
+            for (let gx = 0; gx < fluid.cols; gx++) {
+                if (fluid.isSolidCell(gx, gy)) rect(gx * resolution, gy * resolution, resolution, resolution);
+            }
+        }
+        pop();
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Tracers ride the flow (sped up by speedScale) and streak onto a fading layer
+     * @private
+     */
+    _renderStreamlines() {
+        const streamConfig = this.config.streamlines;
+
+        if (!this.traceLayer || this.traceLayer.width !== width || this.traceLayer.height !== height) {
+            if (this.traceLayer) this.traceLayer.remove();
+            this.traceLayer = createGraphics(width, height);
+            this.tracers = null;
+        }
+        if (!this.tracers || this.tracers.x.length !== streamConfig.count) {
+            this.tracers = {
+                x: new Float32Array(streamConfig.count),
+                y: new Float32Array(streamConfig.count),
+                age: new Float32Array(streamConfig.count)
+            };
+            for (let i = 0; i < streamConfig.count; i++) {
+                this._respawnTracer(i);
+                this.tracers.age[i] = Math.random() * streamConfig.lifespan; // stagger respawns
+            }
+        }
+
+        const layer = this.traceLayer;
+        const { x: xs, y: ys, age } = this.tracers;
+        const [r, g, b] = streamConfig.color;
+
+        // Fade old streaks toward transparent
+        layer.erase(streamConfig.fade, 0);
+        layer.noStroke();
+        layer.rect(0, 0, width, height);
+        layer.noErase();
+
+        layer.stroke(r, g, b, 160);
+        layer.strokeWeight(1);
+        for (let i = 0; i < xs.length; i++) {
+            const flow = this.fluid.sampleVelocity(xs[i], ys[i], this._sample);
+            const nextX = xs[i] + flow.x * streamConfig.speedScale;
+            const nextY = ys[i] + flow.y * streamConfig.speedScale;
+            layer.line(xs[i], ys[i], nextX, nextY);
+
+            xs[i] = nextX;
+            ys[i] = nextY;
+            age[i]++;
+
+            const outside = nextX < 0 || nextX >= width || nextY < 0 || nextY >= height;
+            if (outside || age[i] > streamConfig.lifespan || this._isSolidAt(nextX, nextY)) {
+                this._respawnTracer(i);
+            }
+        }
+
+        image(layer, 0, 0);
+    }
+
+    /**
+     * @private
+     */
+    _respawnTracer(i) {
+        this.tracers.x[i] = Math.random() * width;
+        this.tracers.y[i] = Math.random() * height;
+        this.tracers.age[i] = 0;
+    }
+
+    /**
+     * Line-integral convolution: average a white-noise texture along each texel's
+     * streamline. Recomputes CONFIG.visualization.lic.interval frames' worth of rows
+     * per frame, so the cost is spread evenly instead of stalling one frame.
+     * @private
+     */
+    _renderLIC() {
+        const licConfig = this.config.lic;
+        const pixelSize = licConfig.pixelSize;
+        const texCols = Math.ceil(width / pixelSize);
+        const texRows = Math.ceil(height / pixelSize);
+
+        if (!this.licGraphics || this.licGraphics.width !== texCols || this.licGraphics.height !== texRows) {
+            if (this.licGraphics) this.licGraphics.remove();
+            this.licGraphics = createGraphics(texCols, texRows);
+            this.licGraphics.pixelDensity(1);
+            this.licNoise = new Float32Array(texCols * texRows);
+            for (let i = 0; i < this.licNoise.length; i++) this.licNoise[i] = Math.random();
+            this.licRow = 0;
+        }
+
+        const graphics = this.licGraphics;
+        const noiseTexture = this.licNoise;
+        const rowsPerFrame = Math.ceil(texRows / licConfig.interval);
+        const endRow = Math.min(this.licRow + rowsPerFrame, texRows);
+        const [r, g, b] = licConfig.color;
+
+        graphics.loadPixels();
+        for (let ty = this.licRow; ty < endRow; ty++) {
+            for (let tx = 0; tx < texCols; tx++) {
+                let sum = noiseTexture[tx + ty * texCols];
+                let count = 1;
+
+                // Walk the streamline both ways from the texel center
+                for (let direction = -1; direction <= 1; direction += 2) {
+                    let px = (tx + 0.5) * pixelSize;
+                    let py = (ty + 0.5) * pixelSize;
+
+                    for (let step = 0; step < licConfig.steps; step++) {
+                        const flow = this.fluid.sampleVelocity(px, py, this._sample);
+                        const speed = Math.sqrt(flow.x * flow.x + flow.y * flow.y);
+                        if (speed < 1e-6) break;
+
+                        px += direction * (flow.x / speed) * licConfig.stepLength;
+                        py += direction * (flow.y / speed) * licConfig.stepLength;
+                        const sx = Math.floor(px / pixelSize);
+                        const sy = Math.floor(py / pixelSize);
+                        if (sx < 0 || sx >= texCols || sy < 0 || sy >= texRows) break;
+
+                        sum += noiseTexture[sx + sy * texCols];
+                        count++;
+                    }
+                }
+
+                // Averaging flattens contrast toward 0.5 - stretch it back
+                const value = constrain((sum / count - 0.5) * licConfig.contrast + 0.5, 0, 1);
+                const p = (tx + ty * texCols) * 4;
+                graphics.pixels[p] = r;
+                graphics.pixels[p + 1] = g;
+                graphics.pixels[p + 2] = b;
+                graphics.pixels[p + 3] = value * licConfig.alpha;
+            }
+        }
+        graphics.updatePixels();
+        this.licRow = endRow >= texRows ? 0 : endRow;
+
+        image(graphics, 0, 0, texCols * pixelSize, texRows * pixelSize);
+    }
+
+    /**
+     * Curl heatmap, one pixel per cell, upscaled (smoothed)
+     * @private
+     */
+    _renderVorticity() {
+        const heatConfig = this.config.heatmap;
+        const fluid = this.fluid;
+
+        if (!this.heatGraphics || this.heatGraphics.width !== fluid.cols || this.heatGraphics.height !== fluid.rows) {
+            if (this.heatGraphics) this.heatGraphics.remove();
+            this.heatGraphics = createGraphics(fluid.cols, fluid.rows);
+            this.heatGraphics.pixelDensity(1);
+        }
+
+        const curl = fluid.computeVorticity();
+        const graphics = this.heatGraphics;
+        graphics.loadPixels();
+        for (let i = 0; i < curl.length; i++) {
+            const intensity = Math.min(1, Math.abs(curl[i]) / heatConfig.maxVorticity);
+            const color = curl[i] >= 0 ? heatConfig.clockwise : heatConfig.counterClockwise;
+            const p = i * 4;
+            graphics.pixels[p] = color[0];
+            graphics.pixels[p + 1] = color[1];
+            graphics.pixels[p + 2] = color[2];
+            graphics.pixels[p + 3] = intensity * heatConfig.alpha;
+        }
+        graphics.updatePixels();
+
+        image(graphics, 0, 0, fluid.cols * fluid.resolution, fluid.rows * fluid.resolution);
+    }
+
+    /**
+     * Mode name and live turbulence, bottom-right
+     * @private
+     */
+    _renderLegend() {
+        const turbulence = (this.fluid.getTurbulence() * 100).toFixed(0);
+
+        push();
+        textFont('monospace');
+        textSize(11);
+        textAlign(RIGHT, BOTTOM);
+        noStroke();
+        fill(0, 140);
+        text(`FLOW: ${this.mode}  ·  turbulence ${turbulence}%  (V)`, width - 12, height - 10);
+        pop();
+    }
+
+    /**
+     * @private
+     */
+    _isSolidAt(x, y) {
+        const resolution = this.fluid.resolution;
+        return this.fluid.isSolidCell(Math.floor(x / resolution), Math.floor(y / resolution));
+    }
+}
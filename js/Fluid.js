@@ -12,6 +12,35 @@
  *   The mind is scattered, moments diffuse and lose definition
  * 
  * TECHNICAL IMPLEMENTATION:
+ * - Two backends (CONFIG.fluid.solver, see Fluid.fromConfig):
+ *   'noise'  - this class: Perlin drift rebuilt every frame, forces last one frame
+ *   'stable' - StableFluid: Navier-Stokes grid solver, forces persist and advect
+ * - All forces go through _addForceToCell(), all reads through getVectorAt(),
+ *   so backends only override storage and the update step
+ * - The field lives in flat Float32Arrays (no per-cell p5.Vector). The Perlin
+ *   drift is computed in a Web Worker (FluidWorker.js, CONFIG.fluid.worker):
+ *   the main thread samples the last finished snapshot while the worker fills
+ *   the other buffer pair (double buffering). Without worker support (e.g. the
+ *   page opened from file://) the drift is computed in place, as before
+ * - Drift shape (CONFIG.fluid.baseFlow): 'angle' points each cell along a Perlin
+ *   angle (can pool ink into sinks); 'curl' takes the curl of a Perlin potential,
+ *   which is divergence-free - ink swirls around instead of bunching up
+ * - getVectorAt() interpolates bilinearly between cell centers (CONFIG.fluid.sampling),
+ *   so drops drift continuously instead of jumping between cells
+ * - Optional vorticity confinement (CONFIG.fluid.vorticity) feeds energy back into
+ *   small eddies that the grid would otherwise smear out
+ * - A global body force (CONFIG.fluid.gravity: tilt of the sheet) biases the
+ *   water downhill; drops and drips read it via getBodyForce() and pool at the
+ *   downhill edge
+ * - Suns are moving sources (SunDrop.getFlowAt): they push the water outward and
+ *   drag a wake behind them, so drops, drips, dye and ripples all feel them through the flow
+ * - snapshot()/restore() capture the whole state (velocity, wake, dye, turbulence,
+ *   viscosity, tilt, drift time) so sessions resume in the same currents
+ * - Drawn obstacles (ObstacleMap, setObstacles) mark solid cells: forces and dye
+ *   never enter them, and flow next to a wall loses its component into the wall
+ * - A scalar dye field (CONFIG.fluid.dye) holds the pigment drops release: it is
+ *   advected by the flow, diffuses, soaks into the paper, and answers
+ *   "how much ink is here?" for viscosity, color and ambient audio
  * - User mouse velocity injects turbulence (distraction)
  * - Turbulence smoothly interpolates via targetTurbulence (attention inertia)
  * - Turbulence modulates viscosity, creating the attention-behavior feedback loop
@@ -21,11 +50,23 @@
  * @property {number} resolution - Grid cell size in pixels
  * @property {number} cols - Grid columns
  * @property {number} rows - Grid rows
- * @property {Array<Array<p5.Vector>>} field - 2D vector field
+ * @property {Float32Array} fieldX - Horizontal flow per cell (px/frame), index = x + y * cols
+ * @property {Float32Array} fieldY - Vertical flow per cell (px/frame)
+ * @property {Float32Array} baseX - Latest drift snapshot (front buffer)
+ * @property {Float32Array} baseY - Latest drift snapshot (front buffer)
+ * @property {Worker|null} worker - Drift worker (null = main-thread fallback)
+ * @property {PerlinNoise} driftNoise - Noise of the drift (its table is sent to the worker)
  * @property {number} turbulence - Current turbulence (0-1)
  * @property {number} targetTurbulence - Target turbulence for smooth interpolation
  * @property {number} currentViscosity - Current viscosity value
- * @property {SunDrop} sunDrop - Reference to sun drop for repulsion
+ * @property {SunDrop} sunDrop - Reference to the main sun drop
+ * @property {Array<SunDrop>} sunDrops - All sun drops stirring the water (one per time zone lane)
+ * @property {Float32Array} wakeX - Noise backend: decaying sun current (px/frame)
+ * @property {Float32Array} wakeY - Noise backend: decaying sun current (px/frame)
+ * @property {Float32Array} dye - Pigment concentration per cell (0-1)
+ * @property {{x: number, y: number}} bodyForce - Tilt of the sheet (1 = upright, pointing downhill)
+ * @property {ObstacleMap|null} obstacles - Drawn walls
+ * @property {Uint8Array|null} solid - Solid cells (1), rebuilt when obstacles change
  */
 class Fluid {
     /**
@@ -39,10 +80,14 @@ class Fluid {
         this.cols = ceil(width / resolution);
         this.rows = ceil(height / resolution);
         
-        this.field = [];
         this.noiseScale = config.fluid.noiseScale;
         this.noiseSpeed = config.fluid.noiseSpeed;
+        this.driftOffset = 0; // drift time carried over by restore()
         this.baseFlowMagnitude = config.fluid.baseFlowMagnitude;
+        this.driftMagnitude = 0.3; // base flow magnitude of the field (subtle drift)
+        this.baseFlowMode = config.fluid.baseFlow || 'angle';
+        this.curlGain = config.fluid.curlGain;
+        this.driftNoise = new PerlinNoise(); // shared with the worker, so both compute the same drift
         
         this.config = config;
         this.currentViscosity = config.fluid.viscosity.baseValue;
@@ -52,49 +97,588 @@ class Fluid {
         this.targetTurbulence = 0; // ✨ NEW: Target for smooth interpolation
         this.turbulenceInertia = 0.05; // ✨ NEW: Smoothing factor (lower = smoother)
         
-        // Sun drop reference (for repulsion)
+        // Sun drop references (moving sources in the flow)
         this.sunDrop = null;
+        this.sunDrops = [];
+        
+        // Tilt of the sheet (gravity direction and strength)
+        this.bodyForce = { x: 0, y: 0 };
+        this.setGravityPreset(config.fluid.gravity.preset);
+        
+        // Drawn walls (see setObstacles)
+        this.obstacles = null;
+        this.solid = null;
+        this._obstacleKey = null;
         
         this.initField();
+        this.initBaseFlow();
+        this.initDye();
+    }
+
+    /**
+     * Create the backend selected by CONFIG.fluid.solver
+     * 
+     * @param {Object} config - Configuration object
+     * @returns {Fluid} Fluid ('noise') or StableFluid ('stable')
+     */
+    static fromConfig(config) {
+        const solver = config.fluid.solver || 'noise';
+        
+        switch (solver) {
+            case 'noise':
+                return new Fluid(config.fluid.resolution, config);
+            case 'stable':
+                return new StableFluid(config.fluid.resolution, config);
+            default:
+                throw new Error(`Fluid: unknown solver '${solver}'`);
+        }
+    }
+
+    /**
+     * Register the suns that stir the water (and whose repulsion drops feel)
+     * @param {Array<SunDrop>} sunDrops - Main sun first, then zone suns
+     */
+    setSunDrops(sunDrops) {
+        this.sunDrops = sunDrops || [];
+        this.sunDrop = this.sunDrops[0] || null;
+    }
+
+    /**
+     * Tilt the sheet to a named preset (CONFIG.fluid.gravity.presets)
+     * @param {string} name - e.g. 'tabletop', 'easel', 'wall'
+     */
+    setGravityPreset(name) {
+        const tilt = this.config.fluid.gravity.presets[name];
+        if (!tilt) {
+            throw new Error(`Fluid: unknown gravity preset '${name}'`);
+        }
+        this.setBodyForce(tilt[0], tilt[1]);
+    }
+
+    /**
+     * Set the tilt directly (clamped to CONFIG.fluid.gravity.maxTilt)
+     * @param {number} x - Downhill component to the right
+     * @param {number} y - Downhill component toward the bottom
+     */
+    setBodyForce(x, y) {
+        const maxTilt = this.config.fluid.gravity.maxTilt;
+        const magnitude = Math.sqrt(x * x + y * y);
+        const scale = magnitude > maxTilt ? maxTilt / magnitude : 1;
+        
+        // Snap tiny tilts to flat so arrow keys can return to a level sheet
+        this.bodyForce.x = Math.abs(x * scale) < 1e-6 ? 0 : x * scale;
+        this.bodyForce.y = Math.abs(y * scale) < 1e-6 ? 0 : y * scale;
+    }
+
+    /**
+     * Nudge the tilt (arrow keys)
+     * @param {number} dx - Change to the right
+     * @param {number} dy - Change toward the bottom
+     */
+    adjustBodyForce(dx, dy) {
+        this.setBodyForce(this.bodyForce.x + dx, this.bodyForce.y + dy);
+    }
+
+    /**
+     * @returns {{x: number, y: number}} Current tilt (shared object - don't modify)
+     */
+    getBodyForce() {
+        return this.bodyForce;
+    }
+
+    /**
+     * @returns {boolean} Whether the sheet is tilted at all
+     */
+    hasTilt() {
+        return this.bodyForce.x !== 0 || this.bodyForce.y !== 0;
+    }
+
+    /**
+     * Make drawn walls solid for the flow (particles collide via fluid.obstacles)
+     * @param {ObstacleMap|null} obstacles
+     */
+    setObstacles(obstacles) {
+        this.obstacles = obstacles;
+        this._obstacleKey = null;
+        this.solid = null;
+    }
+
+    /**
+     * @param {number} gx - Grid column
+     * @param {number} gy - Grid row
+     * @returns {boolean} Whether the cell is inside a wall
+     */
+    isSolidCell(gx, gy) {
+        return this.solid !== null && this.solid[gx + gy * this.cols] === 1;
     }
 
     /**
      * Initialize the vector field
      */
     initField() {
-        this.field = [];
-        for (let y = 0; y < this.rows; y++) {
-            this.field[y] = [];
-            for (let x = 0; x < this.cols; x++) {
-                this.field[y][x] = createVector(0, 0);
-            }
-        }
+        this.fieldX = new Float32Array(this.cols * this.rows);
+        this.fieldY = new Float32Array(this.cols * this.rows);
+        this.wakeX = new Float32Array(this.cols * this.rows);
+        this.wakeY = new Float32Array(this.cols * this.rows);
+    }
+
+    /**
+     * Allocate the drift snapshot and start the worker that refreshes it
+     */
+    initBaseFlow() {
+        this.baseX = new Float32Array(this.cols * this.rows);
+        this.baseY = new Float32Array(this.cols * this.rows);
+        this._computeBaseFlow(this._driftTime(frameCount), this.baseX, this.baseY); // never start still
+        
+        this.worker = null;
+        this._backX = null;
+        this._backY = null;
+        this._snapshotReady = false;
+        this._startWorker();
     }
 
     /**
      * Called every frame to update the field
      */
     update() {
-        const t = frameCount * this.noiseSpeed;
+        this._refreshBaseFlow();
+
+        // Forces last one frame: every frame starts again from the drift
+        this.fieldX.set(this.baseX);
+        this.fieldY.set(this.baseY);
+        this._syncObstacles();
+        this._applyBodyForce(1);
+        this._applySunWake();
+        this._applyVorticityConfinement(this.config.fluid.vorticity);
+        this._applyObstacles();
+
+        // Mouse interaction is handled in mouseMoved() via addForceAtPoint()
+        
+        this._updateDye();
+    }
+
+    /**
+     * Regrid to the current canvas size (call after resizeCanvas)
+     * PHILOSOPHY: The window changes shape, not the water - currents and pigment
+     * stretch with the paper instead of being cut off
+     * 
+     * Velocity and dye are resampled proportionally (nearest cell), the drift
+     * worker restarts on the new grid and the obstacle mask is rebuilt.
+     */
+    resize() {
+        const oldCols = this.cols;
+        const oldRows = this.rows;
+        const newCols = ceil(width / this.resolution);
+        const newRows = ceil(height / this.resolution);
+        if (newCols === oldCols && newRows === oldRows) return;
+        
+        const velocity = this._readVelocities();
+        const oldDye = this.dye;
+        
+        this.cols = newCols;
+        this.rows = newRows;
+        this.stopWorker();
+        this.initField();
+        this.initBaseFlow();
+        this._writeVelocities(this._resample(velocity.x, oldCols, oldRows), this._resample(velocity.y, oldCols, oldRows));
+        this._setDye(this._resample(oldDye, oldCols, oldRows));
+        
+        this._obstacleKey = null;
+        this.solid = null;
+        this._syncObstacles();
+        
+        console.log(`🌊 Fluid regridded ${oldCols}x${oldRows} → ${newCols}x${newRows}`);
+    }
+
+    /**
+     * Capture the complete state of the water (JSON-safe, see restore())
+     * PHILOSOPHY: A paused or saved session should resume in the same currents -
+     * the water remembers where attention was stirring it
+     * 
+     * @returns {Object} { version, solver, cols, rows, driftTime, velocityX, velocityY,
+     *          wakeX, wakeY, dye, turbulence, targetTurbulence, currentViscosity, bodyForce }
+     */
+    snapshot() {
+        const velocity = this._readVelocities();
+        
+        return {
+            version: 1,
+            solver: this.config.fluid.solver || 'noise',
+            cols: this.cols,
+            rows: this.rows,
+            driftTime: this._driftTime(frameCount),
+            velocityX: Array.from(velocity.x),
+            velocityY: Array.from(velocity.y),
+            wakeX: this.wakeX ? Array.from(this.wakeX) : null,
+            wakeY: this.wakeY ? Array.from(this.wakeY) : null,
+            dye: Array.from(this.dye),
+            turbulence: this.turbulence,
+            targetTurbulence: this.targetTurbulence,
+            currentViscosity: this.currentViscosity,
+            bodyForce: { x: this.bodyForce.x, y: this.bodyForce.y }
+        };
+    }
+
+    /**
+     * Resume from a snapshot() - e.g. a saved session, an undo step or a replay
+     * 
+     * A snapshot taken on another grid (different window size) is resampled
+     * proportionally, like resize(). The drift continues from the snapshot's
+     * time; after a page reload its noise pattern is new, so the restored
+     * currents carry on under a fresh drift.
+     * 
+     * @param {Object} state - Result of snapshot() (or its JSON round-trip)
+     * @throws {Error} If the snapshot is malformed
+     */
+    restore(state) {
+        if (!state || state.version !== 1) {
+            throw new Error(`Fluid: unsupported snapshot version '${state && state.version}'`);
+        }
+        const size = state.cols * state.rows;
+        ['velocityX', 'velocityY', 'dye'].forEach(key => {
+            if (!state[key] || state[key].length !== size) {
+                throw new Error(`Fluid: snapshot ${key} does not match its ${state.cols}x${state.rows} grid`);
+            }
+        });
+        
+        this.initField(); // clears velocity (and solver scratch)
+        this._writeVelocities(this._resample(state.velocityX, state.cols, state.rows), this._resample(state.velocityY, state.cols, state.rows));
+        if (this.wakeX && state.wakeX && state.wakeY) {
+            this.wakeX.set(this._resample(state.wakeX, state.cols, state.rows));
+            this.wakeY.set(this._resample(state.wakeY, state.cols, state.rows));
+        }
+        this._setDye(this._resample(state.dye, state.cols, state.rows));
+        
+        this.turbulence = state.turbulence;
+        this.targetTurbulence = state.targetTurbulence;
+        this.currentViscosity = state.currentViscosity;
+        this.setBodyForce(state.bodyForce.x, state.bodyForce.y);
+        this.driftOffset = state.driftTime - frameCount * this.noiseSpeed;
+    }
+
+    /**
+     * Stop the drift worker and fall back to main-thread computation
+     */
+    stopWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this._backX = null;
+        this._backY = null;
+        this._snapshotReady = false;
+    }
+
+    // ==================== BASE FLOW (DRIFT) ====================
+
+    /**
+     * Swap in the worker's newest snapshot (or compute in place without a worker)
+     * PHILOSOPHY: If the worker is late, the water keeps its last drift - it never stutters
+     * @protected
+     */
+    _refreshBaseFlow() {
+        if (!this.worker) {
+            this._computeBaseFlow(this._driftTime(frameCount), this.baseX, this.baseY);
+            return;
+        }
+        if (!this._snapshotReady) return;
+        
+        // Double buffer: the finished snapshot goes front, the old front goes back to be refilled
+        const frontX = this._backX;
+        const frontY = this._backY;
+        this._backX = null;
+        this._backY = null;
+        this._snapshotReady = false;
+        
+        this._requestBaseFlow(this.baseX, this.baseY);
+        this.baseX = frontX;
+        this.baseY = frontY;
+    }
 
-        // Generate smooth base flow using Perlin noise
+    /**
+     * Perlin drift written into the given buffers (main-thread path; FluidWorker.js mirrors it)
+     * @private
+     */
+    _computeBaseFlow(t, targetX, targetY) {
+        const curlSpeed = this.driftMagnitude * this.curlGain;
+        const e = 0.01; // finite-difference step (noise units)
+        
         for (let y = 0; y < this.rows; y++) {
             for (let x = 0; x < this.cols; x++) {
-                const angle = noise(
-                    x * this.noiseScale,
-                    y * this.noiseScale,
-                    t
-                ) * TWO_PI;
+                const nx = x * this.noiseScale;
+                const ny = y * this.noiseScale;
+                const index = x + y * this.cols;
+                
+                if (this.baseFlowMode === 'curl') {
+                    // Velocity = curl of potential ψ: (∂ψ/∂y, -∂ψ/∂x)
+                    const dy = (this.driftNoise.noise(nx, ny + e, t) - this.driftNoise.noise(nx, ny - e, t)) / (2 * e);
+                    const dx = (this.driftNoise.noise(nx + e, ny, t) - this.driftNoise.noise(nx - e, ny, t)) / (2 * e);
+                    targetX[index] = dy * curlSpeed;
+                    targetY[index] = -dx * curlSpeed;
+                } else {
+                    const angle = this.driftNoise.noise(nx, ny, t) * TWO_PI;
+                    targetX[index] = cos(angle) * this.driftMagnitude;
+                    targetY[index] = sin(angle) * this.driftMagnitude;
+                }
+            }
+        }
+    }
 
-                const magnitude = 0.3; // base flow magnitude (subtle drift)
-                const vx = cos(angle) * magnitude;
-                const vy = sin(angle) * magnitude;
+    /**
+     * Start FluidWorker.js (CONFIG.fluid.worker); any failure keeps the main-thread path
+     * @private
+     */
+    _startWorker() {
+        const workerConfig = this.config.fluid.worker;
+        if (!workerConfig || !workerConfig.enabled || typeof Worker === 'undefined') return;
+        
+        try {
+            this.worker = new Worker(workerConfig.script);
+        } catch (error) {
+            console.warn('⚠️ Fluid worker unavailable, computing flow on the main thread:', error.message);
+            this.worker = null;
+            return;
+        }
+        
+        this.worker.onmessage = (event) => this._onWorkerMessage(event.data);
+        this.worker.onerror = (event) => {
+            console.warn('⚠️ Fluid worker failed, computing flow on the main thread:', event.message);
+            this.stopWorker();
+        };
+        
+        this.worker.postMessage({
+            type: 'init',
+            cols: this.cols,
+            rows: this.rows,
+            noiseScale: this.noiseScale,
+            magnitude: this.driftMagnitude,
+            mode: this.baseFlowMode,
+            curlGain: this.curlGain,
+            perlin: this.driftNoise.table
+        });
+        this._requestBaseFlow(new Float32Array(this.cols * this.rows), new Float32Array(this.cols * this.rows));
+    }
+
+    /**
+     * @param {number} frame - p5 frame number
+     * @returns {number} Noise time of the drift at that frame
+     * @private
+     */
+    _driftTime(frame) {
+        return frame * this.noiseSpeed + this.driftOffset;
+    }
+
+    /**
+     * Hand a buffer pair to the worker (transferred, not copied)
+     * @private
+     */
+    _requestBaseFlow(bufferX, bufferY) {
+        this.worker.postMessage({
+            type: 'compute',
+            t: this._driftTime(frameCount + 1),
+            x: bufferX.buffer,
+            y: bufferY.buffer
+        }, [bufferX.buffer, bufferY.buffer]);
+    }
 
-                this.field[y][x] = createVector(vx, vy);
+    /**
+     * @private
+     */
+    _onWorkerMessage(message) {
+        if (message.type !== 'field' || !this.worker) return;
+        
+        this._backX = new Float32Array(message.x);
+        this._backY = new Float32Array(message.y);
+        this._snapshotReady = true;
+    }
+
+    // ==================== DYE FIELD ====================
+
+    /**
+     * Allocate the dye grid (cols x rows, same cells as the flow)
+     */
+    initDye() {
+        this.dye = new Float32Array(this.cols * this.rows);
+        this.dye0 = new Float32Array(this.cols * this.rows);
+        this.dyeTotal = 0;
+        this.dyeGraphics = null;
+        this._cellVelocity = { x: 0, y: 0 };
+        this._sample = { x: 0, y: 0 };
+    }
+
+    /**
+     * Release pigment into the water
+     * 
+     * @param {number} x - canvas x coordinate
+     * @param {number} y - canvas y coordinate
+     * @param {number} amount - Concentration added at the center (0-1)
+     * @param {number} radius - Spread in px (falls off linearly)
+     */
+    addDye(x, y, amount, radius) {
+        const dyeConfig = this.config.fluid.dye;
+        if (!dyeConfig || !dyeConfig.enabled || amount <= 0) return;
+        
+        const gridX = Math.floor(x / this.resolution);
+        const gridY = Math.floor(y / this.resolution);
+        const gridRadius = Math.max(radius / this.resolution, 0.5);
+        const range = Math.ceil(gridRadius);
+        
+        for (let j = -range; j <= range; j++) {
+            for (let i = -range; i <= range; i++) {
+                const gx = gridX + i;
+                const gy = gridY + j;
+                if (gx < 0 || gx >= this.cols || gy < 0 || gy >= this.rows) continue;
+                
+                const falloff = 1 - Math.sqrt(i * i + j * j) / (gridRadius + 1);
+                if (falloff > 0) {
+                    const index = gx + gy * this.cols;
+                    this.dye[index] = Math.min(1, this.dye[index] + amount * falloff);
+                }
             }
         }
+    }
 
-        // Mouse interaction is handled in mouseMoved() via addForceAtPoint()
+    /**
+     * Local ink concentration
+     * @param {number} x - canvas x coordinate
+     * @param {number} y - canvas y coordinate
+     * @returns {number} 0 (clean water) to 1 (saturated)
+     */
+    getDyeAt(x, y) {
+        const gridX = constrain(floor(x / this.resolution), 0, this.cols - 1);
+        const gridY = constrain(floor(y / this.resolution), 0, this.rows - 1);
+        
+        return this.dye[gridX + gridY * this.cols];
+    }
+
+    /**
+     * How inked the whole reservoir is, normalized by CONFIG.fluid.dye.fullDensity
+     * @returns {number} 0-1
+     */
+    getInkDensity() {
+        const mean = this.dyeTotal / this.dye.length;
+        return Math.min(1, mean / this.config.fluid.dye.fullDensity);
+    }
+
+    /**
+     * Drag on particles at a point: thick ink slows them down
+     * PHILOSOPHY: Where many moments have pooled, new ones move heavily
+     * 
+     * @param {number} x - canvas x coordinate
+     * @param {number} y - canvas y coordinate
+     * @returns {number} Velocity multiplier per frame (lower = thicker)
+     */
+    getViscosityAt(x, y) {
+        const [clean, saturated] = this.config.fluid.dye.dragRange;
+        return lerp(clean, saturated, this.getDyeAt(x, y));
+    }
+
+    /**
+     * Remove all pigment (canvas reset)
+     */
+    clearDye() {
+        this.dye.fill(0);
+        this.dyeTotal = 0;
+    }
+
+    /**
+     * Soft wash of the dye field, upscaled (smoothed) from one pixel per cell
+     * @param {p5.Graphics} layer - Target layer (cleared first)
+     */
+    renderDye(layer) {
+        const washConfig = this.config.fluid.dye.wash;
+        layer.clear();
+        if (!washConfig.enabled) return;
+        
+        if (!this.dyeGraphics || this.dyeGraphics.width !== this.cols || this.dyeGraphics.height !== this.rows) {
+            if (this.dyeGraphics) this.dyeGraphics.remove();
+            this.dyeGraphics = createGraphics(this.cols, this.rows);
+            this.dyeGraphics.pixelDensity(1);
+        }
+        
+        const graphics = this.dyeGraphics;
+        const [r, g, b] = washConfig.color;
+        graphics.loadPixels();
+        for (let i = 0; i < this.dye.length; i++) {
+            const p = i * 4;
+            graphics.pixels[p] = r;
+            graphics.pixels[p + 1] = g;
+            graphics.pixels[p + 2] = b;
+            graphics.pixels[p + 3] = this.dye[i] * washConfig.alpha;
+        }
+        graphics.updatePixels();
+        
+        layer.image(graphics, 0, 0, this.cols * this.resolution, this.rows * this.resolution);
+    }
+
+    /**
+     * Flow at a cell center (px/frame), written into a shared scratch object
+     * @protected
+     */
+    _readCellVelocity(gx, gy) {
+        const index = gx + gy * this.cols;
+        this._cellVelocity.x = this.fieldX[index];
+        this._cellVelocity.y = this.fieldY[index];
+        return this._cellVelocity;
+    }
+
+    /**
+     * Advect, diffuse and absorb the dye (one frame)
+     * @private
+     */
+    _updateDye() {
+        const dyeConfig = this.config.fluid.dye;
+        if (!dyeConfig || !dyeConfig.enabled) return;
+        
+        const cols = this.cols;
+        const rows = this.rows;
+        const dt0 = 1 / this.resolution;
+        [this.dye0, this.dye] = [this.dye, this.dye0];
+        const src = this.dye0;
+        const dst = this.dye;
+        
+        // Semi-Lagrangian advection: where did this cell's water come from?
+        for (let gy = 0; gy < rows; gy++) {
+            for (let gx = 0; gx < cols; gx++) {
+                const velocity = this._readCellVelocity(gx, gy);
+                const x = Math.min(Math.max(gx - velocity.x * dt0, 0), cols - 1);
+                const y = Math.min(Math.max(gy - velocity.y * dt0, 0), rows - 1);
+                
+                const x0 = Math.floor(x);
+                const y0 = Math.floor(y);
+                const x1 = Math.min(x0 + 1, cols - 1);
+                const y1 = Math.min(y0 + 1, rows - 1);
+                const sx = x - x0;
+                const sy = y - y0;
+                
+                dst[gx + gy * cols] =
+                    (1 - sx) * ((1 - sy) * src[x0 + y0 * cols] + sy * src[x0 + y1 * cols]) +
+                    sx * ((1 - sy) * src[x1 + y0 * cols] + sy * src[x1 + y1 * cols]);
+            }
+        }
+        
+        // Diffusion (explicit, rate <= 0.25 stays stable) + absorption into paper
+        const rate = Math.min(dyeConfig.diffusion, 0.25);
+        let total = 0;
+        src.set(dst);
+        for (let gy = 0; gy < rows; gy++) {
+            for (let gx = 0; gx < cols; gx++) {
+                const index = gx + gy * cols;
+                if (this.solid && this.solid[index]) {
+                    dst[index] = 0; // walls hold no water
+                    continue;
+                }
+                const left = gx > 0 ? src[index - 1] : src[index];
+                const right = gx < cols - 1 ? src[index + 1] : src[index];
+                const up = gy > 0 ? src[index - cols] : src[index];
+                const down = gy < rows - 1 ? src[index + cols] : src[index];
+                
+                const value = (src[index] + rate * (left + right + up + down - 4 * src[index])) * dyeConfig.absorption;
+                dst[index] = value < 0.0005 ? 0 : value;
+                total += dst[index];
+            }
+        }
+        this.dyeTotal = total;
     }
 
     /**
@@ -117,15 +701,15 @@ class Fluid {
                 
                 if (gx >= 0 && gx < this.cols && gy >= 0 && gy < this.rows) {
                     const dist_val = dist(
-                        gx * this.resolution,
-                        gy * this.resolution,
+                        (gx + 0.5) * this.resolution,
+                        (gy + 0.5) * this.resolution,
                         x,
                         y
                     );
 
                     if (dist_val < radius) {
                         const falloff = (1 - dist_val / radius) * strength;
-                        this.field[gy][gx].add(force.copy().mult(falloff));
+                        this._addForceToCell(gx, gy, force.x * falloff, force.y * falloff);
                     }
                 }
             }
@@ -134,15 +718,366 @@ class Fluid {
 
     /**
      * Return the flow vector at the given canvas coordinates
+     * Bilinear between the four nearest cell centers, or the containing cell
+     * when CONFIG.fluid.sampling is 'nearest'
+     * 
      * @param {number} x - canvas x coordinate
      * @param {number} y - canvas y coordinate
      * @returns {p5.Vector} flow vector at the given location
      */
     getVectorAt(x, y) {
-        const gridX = constrain(floor(x / this.resolution), 0, this.cols - 1);
-        const gridY = constrain(floor(y / this.resolution), 0, this.rows - 1);
+        const flow = this.sampleVelocity(x, y, this._sample);
+        
+        return createVector(flow.x, flow.y);
+    }
+
+    /**
+     * Allocation-free getVectorAt() for hot loops (visualization, tracers)
+     * 
+     * @param {number} x - canvas x coordinate
+     * @param {number} y - canvas y coordinate
+     * @param {{x: number, y: number}} out - Receives the flow (px/frame)
+     * @returns {{x: number, y: number}} out
+     */
+    sampleVelocity(x, y, out) {
+        if (this.config.fluid.sampling === 'nearest') {
+            const gridX = constrain(floor(x / this.resolution), 0, this.cols - 1);
+            const gridY = constrain(floor(y / this.resolution), 0, this.rows - 1);
+            const cell = this._readCellVelocity(gridX, gridY);
+            
+            out.x = cell.x;
+            out.y = cell.y;
+            return out;
+        }
+        
+        // Cell centers sit at (gx + 0.5) * resolution
+        const fx = constrain(x / this.resolution - 0.5, 0, this.cols - 1);
+        const fy = constrain(y / this.resolution - 0.5, 0, this.rows - 1);
+        const x0 = Math.floor(fx);
+        const y0 = Math.floor(fy);
+        const x1 = Math.min(x0 + 1, this.cols - 1);
+        const y1 = Math.min(y0 + 1, this.rows - 1);
+        const sx = fx - x0;
+        const sy = fy - y0;
+        
+        let vx = 0;
+        let vy = 0;
+        let cell = this._readCellVelocity(x0, y0);
+        vx += cell.x * (1 - sx) * (1 - sy);
+        vy += cell.y * (1 - sx) * (1 - sy);
+        cell = this._readCellVelocity(x1, y0);
+        vx += cell.x * sx * (1 - sy);
+        vy += cell.y * sx * (1 - sy);
+        cell = this._readCellVelocity(x0, y1);
+        vx += cell.x * (1 - sx) * sy;
+        vy += cell.y * (1 - sx) * sy;
+        cell = this._readCellVelocity(x1, y1);
+        vx += cell.x * sx * sy;
+        vy += cell.y * sx * sy;
+        
+        out.x = vx;
+        out.y = vy;
+        return out;
+    }
+
+    /**
+     * Curl of the flow per cell: ω = ∂v/∂x - ∂u/∂y (central differences, clamped at the walls)
+     * Positive is clockwise on screen (y points down).
+     * 
+     * @returns {Float32Array} Shared buffer (overwritten on the next call), index = x + y * cols
+     */
+    computeVorticity() {
+        const cols = this.cols;
+        const rows = this.rows;
+        if (!this._curl || this._curl.length !== cols * rows) {
+            this._curl = new Float32Array(cols * rows);
+        }
+        const curl = this._curl;
+        
+        for (let gy = 0; gy < rows; gy++) {
+            for (let gx = 0; gx < cols; gx++) {
+                const right = this._readCellVelocity(Math.min(gx + 1, cols - 1), gy).y;
+                const left = this._readCellVelocity(Math.max(gx - 1, 0), gy).y;
+                const down = this._readCellVelocity(gx, Math.min(gy + 1, rows - 1)).x;
+                const up = this._readCellVelocity(gx, Math.max(gy - 1, 0)).x;
+                curl[gx + gy * cols] = 0.5 * ((right - left) - (down - up));
+            }
+        }
+        
+        return curl;
+    }
+
+    /**
+     * Flow felt by one particle: the shared current plus its own wandering
+     * (CONFIG.fluid.dropVariation), so drops in the same cell don't move in lockstep
+     * 
+     * @param {number} x - canvas x coordinate
+     * @param {number} y - canvas y coordinate
+     * @param {number} offsetX - particle's noise offset
+     * @param {number} offsetY - particle's noise offset
+     * @returns {p5.Vector}
+     */
+    getVectorAtWithOffset(x, y, offsetX = 0, offsetY = 0) {
+        const flow = this.getVectorAt(x, y);
+        const variation = this.config.fluid.dropVariation;
+        if (!variation || !variation.enabled) return flow;
+        
+        const angle = noise(offsetX + frameCount * this.noiseSpeed, offsetY) * TWO_PI;
+        flow.lerp(p5.Vector.fromAngle(angle, this.baseFlowMagnitude), variation.independentScale);
+        flow.x += random(-variation.randomJitter, variation.randomJitter);
+        flow.y += random(-variation.randomJitter, variation.randomJitter);
+        
+        return flow;
+    }
+
+    /**
+     * Add a force to one grid cell - the single write path for all forces
+     * @protected
+     */
+    _addForceToCell(gx, gy, fx, fy) {
+        if (this.isSolidCell(gx, gy)) return;
+        this._addVelocityToCell(gx, gy, fx, fy);
+    }
+
+    /**
+     * Add velocity (px/frame) to one grid cell, unscaled
+     * @protected
+     */
+    _addVelocityToCell(gx, gy, vx, vy) {
+        const index = gx + gy * this.cols;
+        this.fieldX[index] += vx;
+        this.fieldY[index] += vy;
+    }
+
+    /**
+     * Water drifts downhill on a tilted sheet
+     * @param {number} rate - Fraction of CONFIG.fluid.gravity.flowBias added this frame
+     *                        (1 for a rebuilt field; persistent solvers add less each frame)
+     * @protected
+     */
+    _applyBodyForce(rate) {
+        if (!this.hasTilt()) return;
+        
+        const bias = this.config.fluid.gravity.flowBias * rate;
+        const vx = this.bodyForce.x * bias;
+        const vy = this.bodyForce.y * bias;
+        
+        for (let gy = 0; gy < this.rows; gy++) {
+            for (let gx = 0; gx < this.cols; gx++) {
+                if (!this.isSolidCell(gx, gy)) this._addVelocityToCell(gx, gy, vx, vy);
+            }
+        }
+    }
+
+    /**
+     * Add the suns' current (SunDrop.getFlowAt) to every open cell in their reach
+     * @param {number} rate - Fraction of the sun current added this frame
+     * @param {Function} addToCell - (gx, gy, vx, vy) receiver for the current
+     * @protected
+     */
+    _addSunFlow(rate, addToCell) {
+        const resolution = this.resolution;
+        
+        this.sunDrops.forEach(sunDrop => {
+            const reach = sunDrop.getFlowReach();
+            if (!reach) return;
+            
+            const minX = Math.max(0, Math.floor((sunDrop.x - reach) / resolution));
+            const maxX = Math.min(this.cols - 1, Math.floor((sunDrop.x + reach) / resolution));
+            const minY = Math.max(0, Math.floor((sunDrop.y - reach) / resolution));
+            const maxY = Math.min(this.rows - 1, Math.floor((sunDrop.y + reach) / resolution));
+            
+            for (let gy = minY; gy <= maxY; gy++) {
+                for (let gx = minX; gx <= maxX; gx++) {
+                    if (this.isSolidCell(gx, gy)) continue;
+                    
+                    const flow = sunDrop.getFlowAt((gx + 0.5) * resolution, (gy + 0.5) * resolution);
+                    if (flow.x !== 0 || flow.y !== 0) addToCell(gx, gy, flow.x * rate, flow.y * rate);
+                }
+            }
+        });
+    }
+
+    /**
+     * The drift is rebuilt every frame, so the suns' current lives in its own
+     * decaying buffer (CONFIG.fluid.sunWake) - that is what leaves a wake
+     * @private
+     */
+    _applySunWake() {
+        const keep = this.config.fluid.sunWake;
+        const wakeX = this.wakeX;
+        const wakeY = this.wakeY;
+        
+        for (let i = 0; i < wakeX.length; i++) {
+            wakeX[i] *= keep;
+            wakeY[i] *= keep;
+        }
+        this._addSunFlow(1 - keep, (gx, gy, vx, vy) => {
+            wakeX[gx + gy * this.cols] += vx;
+            wakeY[gx + gy * this.cols] += vy;
+        });
+        
+        for (let gy = 0; gy < this.rows; gy++) {
+            for (let gx = 0; gx < this.cols; gx++) {
+                const index = gx + gy * this.cols;
+                if (wakeX[index] !== 0 || wakeY[index] !== 0) {
+                    this._addVelocityToCell(gx, gy, wakeX[index], wakeY[index]);
+                }
+            }
+        }
+    }
+
+    /**
+     * Every cell's velocity, read through the backend hook
+     * @returns {{x: Float32Array, y: Float32Array}}
+     * @private
+     */
+    _readVelocities() {
+        const x = new Float32Array(this.cols * this.rows);
+        const y = new Float32Array(this.cols * this.rows);
+        for (let gy = 0; gy < this.rows; gy++) {
+            for (let gx = 0; gx < this.cols; gx++) {
+                const velocity = this._readCellVelocity(gx, gy);
+                x[gx + gy * this.cols] = velocity.x;
+                y[gx + gy * this.cols] = velocity.y;
+            }
+        }
+        return { x, y };
+    }
 
-        return this.field[gridY][gridX].copy();
+    /**
+     * Write velocities into a freshly cleared field (after initField)
+     * @private
+     */
+    _writeVelocities(x, y) {
+        for (let gy = 0; gy < this.rows; gy++) {
+            for (let gx = 0; gx < this.cols; gx++) {
+                this._addVelocityToCell(gx, gy, x[gx + gy * this.cols], y[gx + gy * this.cols]);
+            }
+        }
+    }
+
+    /**
+     * Replace the dye field (buffers sized to the current grid)
+     * @private
+     */
+    _setDye(values) {
+        this.dye = values;
+        this.dye0 = new Float32Array(values.length);
+        this.dyeTotal = values.reduce((sum, value) => sum + value, 0);
+    }
+
+    /**
+     * Nearest-cell resample of per-cell values onto the current grid
+     * @param {ArrayLike<number>} values - index = x + y * fromCols
+     * @returns {Float32Array}
+     * @private
+     */
+    _resample(values, fromCols, fromRows) {
+        const result = new Float32Array(this.cols * this.rows);
+        for (let gy = 0; gy < this.rows; gy++) {
+            for (let gx = 0; gx < this.cols; gx++) {
+                const sx = Math.min(fromCols - 1, Math.floor((gx + 0.5) * fromCols / this.cols));
+                const sy = Math.min(fromRows - 1, Math.floor((gy + 0.5) * fromRows / this.rows));
+                result[gx + gy * this.cols] = values[sx + sy * fromCols];
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Rebuild the solid-cell mask when the obstacles changed
+     * @protected
+     */
+    _syncObstacles() {
+        if (!this.obstacles) return;
+        
+        const key = `${this.obstacles.version}:${this.cols}x${this.rows}`;
+        if (key === this._obstacleKey) return;
+        
+        this._obstacleKey = key;
+        this.solid = this.obstacles.hasObstacles()
+            ? this.obstacles.getCellMask(this.cols, this.rows, this.resolution)
+            : null;
+    }
+
+    /**
+     * Still water inside walls; next to a wall, drop the flow component that points into it
+     * so currents slide along the wall and around the obstacle
+     * @protected
+     */
+    _applyObstacles() {
+        if (!this.solid) return;
+        
+        const cols = this.cols;
+        const rows = this.rows;
+        
+        for (let gy = 0; gy < rows; gy++) {
+            for (let gx = 0; gx < cols; gx++) {
+                const velocity = this._readCellVelocity(gx, gy);
+                
+                if (this.solid[gx + gy * cols]) {
+                    this._addVelocityToCell(gx, gy, -velocity.x, -velocity.y);
+                    continue;
+                }
+                
+                // Direction toward neighboring solid cells
+                let nx = 0;
+                let ny = 0;
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const x = gx + dx;
+                        const y = gy + dy;
+                        if (x >= 0 && x < cols && y >= 0 && y < rows && this.solid[x + y * cols]) {
+                            nx += dx;
+                            ny += dy;
+                        }
+                    }
+                }
+                
+                const length = Math.sqrt(nx * nx + ny * ny);
+                if (length === 0) continue;
+                nx /= length;
+                ny /= length;
+                
+                const intoWall = velocity.x * nx + velocity.y * ny;
+                if (intoWall > 0) {
+                    this._addVelocityToCell(gx, gy, -intoWall * nx, -intoWall * ny);
+                }
+            }
+        }
+    }
+
+    /**
+     * Vorticity confinement (Fedkiw et al. 2001): push flow around each eddy's
+     * core so swirls the grid would blur keep spinning
+     * 
+     * @param {number} strength - CONFIG.fluid.vorticity (0 = off)
+     * @protected
+     */
+    _applyVorticityConfinement(strength) {
+        if (!strength) return;
+        
+        const cols = this.cols;
+        const rows = this.rows;
+        const curl = this.computeVorticity();
+        
+        // f = ε (N × ω), N = normalized gradient of |ω| (points toward the eddy core)
+        for (let gy = 1; gy < rows - 1; gy++) {
+            for (let gx = 1; gx < cols - 1; gx++) {
+                const index = gx + gy * cols;
+                const nx = 0.5 * (Math.abs(curl[index + 1]) - Math.abs(curl[index - 1]));
+                const ny = 0.5 * (Math.abs(curl[index + cols]) - Math.abs(curl[index - cols]));
+                const length = Math.sqrt(nx * nx + ny * ny) + 1e-5;
+                
+                const omega = curl[index];
+                this._addVelocityToCell(
+                    gx, gy,
+                    strength * (ny / length) * omega,
+                    -strength * (nx / length) * omega
+                );
+            }
+        }
     }
 
     /**
@@ -173,38 +1108,6 @@ class Fluid {
         return this.currentViscosity;
     }
 
-    /**
-     * Applies an outward radial force from a center point, simulating a shockwave.
-     * PHILOSOPHY: A significant event (chime) should physically disturb the "reservoir of attention".
-     * Sound becomes a tangible force that creates visible ripples in the mental landscape.
-     * 
-     * @param {number} centerX - The center x-coordinate of the force.
-     * @param {number} centerY - The center y-coordinate of the force.
-     * @param {number} radius - The current radius of the shockwave.
-     * @param {number} strength - The strength of the force (0-1).
-     */
-    applyCircularForce(centerX, centerY, radius, strength) {
-        const gridX = Math.floor(centerX / this.resolution);
-        const gridY = Math.floor(centerY / this.resolution);
-        const gridRadius = Math.ceil(radius / this.resolution);
-
-        for (let y = gridY - gridRadius; y <= gridY + gridRadius; y++) {
-            for (let x = gridX - gridRadius; x <= gridX + gridRadius; x++) {
-                if (x >= 0 && x < this.cols && y >= 0 && y < this.rows) {
-                    const dx = (x - gridX) * this.resolution;
-                    const dy = (y - gridY) * this.resolution;
-                    const distance = Math.sqrt(dx * dx + dy * dy);
-
-                    // Apply force only to a thin band at the shockwave's edge
-                    if (Math.abs(distance - radius) < this.resolution * 2.5) {
-                        const forceVec = createVector(dx, dy).normalize().mult(strength);
-                        this.field[y][x].add(forceVec);
-                    }
-                }
-            }
-        }
-    }
-
     /**
      * Add turbulence to the system based on mouse velocity.
      * PHILOSOPHY: Attention reservoir fills gradually, empties gradually
@@ -294,12 +1197,11 @@ class Fluid {
                             
                             // Tangential force (creates circular flow)
                             const tangentAngle = angle + HALF_PI;
-                            const forceVec = createVector(
+                            this._addForceToCell(
+                                gx, gy,
                                 cos(tangentAngle) * forceMagnitude,
                                 sin(tangentAngle) * forceMagnitude
                             );
-                            
-                            this.field[gy][gx].add(forceVec);
                         }
                     }
                 }
@@ -318,7 +1220,7 @@ class Fluid {
     }
 
     /**
-     * Debug: visualize the vector field
+     * Debug: visualize the vector field (FlowVisualizer 'arrows' mode)
      * @param {number} scale - arrow scale
      */
     displayField(scale = 5) {
@@ -328,9 +1230,11 @@ class Fluid {
 
         for (let y = 0; y < this.rows; y++) {
             for (let x = 0; x < this.cols; x++) {
+                if (this.isSolidCell(x, y)) continue;
+                
                 const posX = x * this.resolution + this.resolution / 2;
                 const posY = y * this.resolution + this.resolution / 2;
-                const vec = this.field[y][x];
+                const vec = this.sampleVelocity(posX, posY, this._sample);
 
                 // draw arrow
                 const endX = posX + vec.x * scale;
@@ -341,21 +1245,12 @@ class Fluid {
                 fill(0);
                 noStroke();
                 ellipse(endX, endY, 3);
+                stroke(0, 100);
             }
         }
         pop();
     }
 
-    addDrop(drop) {
-        this.inkDrops.push(drop);
-        this.applyInk(drop);
-
-        // Apply a ripple effect if the drop's config has it enabled
-        if (drop.config.ripple && drop.config.ripple.enabled) {
-            this.applyRipple(drop.x, drop.y, drop.config.ripple.strength, drop.config.ripple.radius);
-        }
-    }
-
     /**
      * Applies a radial force to the velocity field to create a ripple.
      * @param {number} x - The center x-coordinate of the ripple.
@@ -364,30 +1259,23 @@ class Fluid {
      * @param {number} radius - The radius of the ripple's effect.
      */
     applyRipple(x, y, strength, radius) {
-        const cellX = Math.floor(x / this.scale);
-        const cellY = Math.floor(y / this.scale);
-        const radiusSq = (radius / this.scale) * (radius / this.scale);
+        const cellX = Math.floor(x / this.resolution);
+        const cellY = Math.floor(y / this.resolution);
+        const gridRadius = radius / this.resolution;
+        const range = Math.floor(gridRadius);
 
-        for (let i = -Math.floor(radius / this.scale); i <= Math.floor(radius / this.scale); i++) {
-            for (let j = -Math.floor(radius / this.scale); j <= Math.floor(radius / this.scale); j++) {
+        for (let j = -range; j <= range; j++) {
+            for (let i = -range; i <= range; i++) {
                 const targetX = cellX + i;
                 const targetY = cellY + j;
 
-                if (targetX >= 0 && targetX < this.width && targetY >= 0 && targetY < this.height) {
-                    const dx = i;
-                    const dy = j;
-                    const distSq = dx * dx + dy * dy;
+                if (targetX >= 0 && targetX < this.cols && targetY >= 0 && targetY < this.rows) {
+                    const dist = Math.sqrt(i * i + j * j);
 
-                    if (distSq < radiusSq) {
-                        const index = this.IX(targetX, targetY);
-                        const dist = Math.sqrt(distSq);
-                        
-                        // Avoid division by zero
-                        if (dist > 0) {
-                            const force = strength * (1 - dist / (radius / this.scale));
-                            this.vx[index] += (dx / dist) * force;
-                            this.vy[index] += (dy / dist) * force;
-                        }
+                    // Avoid division by zero at the center
+                    if (dist > 0 && dist < gridRadius) {
+                        const force = strength * (1 - dist / gridRadius);
+                        this._addForceToCell(targetX, targetY, (i / dist) * force, (j / dist) * force);
                     }
                 }
             }
@@ -395,60 +1283,6 @@ class Fluid {
     }
 
 
-    // ========================================
-    // SIMULATION STEP
-    // ========================================
-    step() {
-        // Add a repulsion force from the sun drop
-        if (this.sunDrop) {
-            this.applyRepulsion(
-                this.sunDrop.x,
-                this.sunDrop.y,
-                this.sunDrop.config.repulsion.strength,
-                this.sunDrop.config.repulsion.radius
-            );
-        }
-
-        // Standard fluid simulation steps
-        this.addSource(this.density, this.s);
-        this.diffuse(this.vx0, this.vx, this.visc, this.dt);
-        this.project(this.vx, this.vy, this.vx0, this.vy0);
-    }
-
-    /**
-     * Applies a radial repulsion force to the velocity field.
-     * @param {number} x - The center x-coordinate of the repulsion.
-     * @param {number} y - The center y-coordinate of the repulsion.
-     * @param {number} strength - The force of the repulsion.
-     * @param {number} radius - The radius of the repulsion's effect.
-     */
-    applyRepulsion(x, y, strength, radius) {
-        const cellX = Math.floor(x / this.scale);
-        const cellY = Math.floor(y / this.scale);
-        const radiusSq = (radius / this.scale) * (radius / this.scale);
-
-        for (let i = -Math.floor(radius / this.scale); i <= Math.floor(radius / this.scale); i++) {
-            for (let j = -Math.floor(radius / this.scale); j <= Math.floor(radius / this.scale); j++) {
-                const targetX = cellX + i;
-                const targetY = cellY + j;
-
-                if (targetX >= 0 && targetX < this.width && targetY >= 0 && targetY < this.height) {
-                    const dx = targetX - cellX;
-                    const dy = targetY - cellY;
-                    const distSq = dx * dx + dy * dy;
-
-                    if (distSq > 0 && distSq < radiusSq) {
-                        const index = this.IX(targetX, targetY);
-                        const dist = Math.sqrt(distSq);
-                        const force = (strength / (distSq + 0.0001)) * (1 - dist / (radius / this.scale));
-                        this.vx[index] += (dx / dist) * force;
-                        this.vy[index] += (dy / dist) * force;
-                    }
-                }
-            }
-        }
-    }
-
     // ========================================
     // RENDERING
     // ========================================
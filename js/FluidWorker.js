@@ -0,0 +1,85 @@
+/**
+ * FluidWorker.js - Off-thread base flow for Fluid (Web Worker script)
+ *
+ * PHILOSOPHY: "The Current Runs Underneath"
+ * The slow Perlin drift of the reservoir doesn't need the artist's attention:
+ * it is computed here, away from draw(), while the main thread keeps painting.
+ *
+ * PROTOCOL (see Fluid._startWorker):
+ * - in  { type: 'init', cols, rows, noiseScale, magnitude, mode, curlGain, perlin }
+ * - in  { type: 'compute', t, x: ArrayBuffer, y: ArrayBuffer }  (buffers transferred)
+ * - out { type: 'field', t, x: ArrayBuffer, y: ArrayBuffer }     (same buffers, filled)
+ *
+ * Buffers travel back and forth (ping-pong), so nothing is allocated per frame.
+ * Noise is PerlinNoise over the permutation table sent with 'init' (Fluid.driftNoise),
+ * so the drift matches the main thread's exactly.
+ */
+
+importScripts('core/PerlinNoise.js?v=16'); // relative to this script
+
+let grid = null;       // { cols, rows, noiseScale, magnitude, mode, curlGain }
+let driftNoise = null; // PerlinNoise over the main thread's table
+
+/**
+ * Fill the buffers with the drift at time t (same formula as Fluid._computeBaseFlow)
+ */
+function computeField(t, fieldX, fieldY) {
+    const { cols, rows, noiseScale, magnitude, mode, curlGain } = grid;
+    const curlSpeed = magnitude * curlGain;
+    const e = 0.01;
+
+    for (let y = 0; y < rows; y++) {
+        for (let x = 0; x < cols; x++) {
+            const nx = x * noiseScale;
+            const ny = y * noiseScale;
+            const index = x + y * cols;
+
+            if (mode === 'curl') {
+                const dy = (driftNoise.noise(nx, ny + e, t) - driftNoise.noise(nx, ny - e, t)) / (2 * e);
+                const dx = (driftNoise.noise(nx + e, ny, t) - driftNoise.noise(nx - e, ny, t)) / (2 * e);
+                fieldX[index] = dy * curlSpeed;
+                fieldY[index] = -dx * curlSpeed;
+            } else {
+                const angle = driftNoise.noise(nx, ny, t) * Math.PI * 2;
+                fieldX[index] = Math.cos(angle) * magnitude;
+                fieldY[index] = Math.sin(angle) * magnitude;
+            }
+        }
+    }
+}
+
+self.onmessage = (event) => {
+    const message = event.data;
+
+    switch (message.type) {
+        case 'init':
+            grid = {
+                cols: message.cols,
+                rows: message.rows,
+                noiseScale: message.noiseScale,
+                magnitude: message.magnitude,
+                mode: message.mode,
+                curlGain: message.curlGain
+            };
+            driftNoise = new PerlinNoise(message.perlin);
+            break;
+
+        case 'compute': {
+            if (!grid) return;
+
+            const fieldX = new Float32Array(message.x);
+            const fieldY = new Float32Array(message.y);
+
+            // A stale request (grid changed since it was sent) is returned untouched
+            if (fieldX.length === grid.cols * grid.rows) {
+                computeField(message.t, fieldX, fieldY);
+            }
+
+            self.postMessage({ type: 'field', t: message.t, x: message.x, y: message.y }, [message.x, message.y]);
+            break;
+        }
+
+        default:
+            console.warn(`FluidWorker: unknown message type '${message.type}'`);
+    }
+};
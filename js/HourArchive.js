@@ -0,0 +1,141 @@
+/**
+ * HourArchive.js - The day as 24 hourly canvases
+ *
+ * PHILOSOPHY: "An Hour Disappears, a Day Remains"
+ * Each hour the canvas is washed clean - impermanence is the point. But the
+ * wash need not be forgetting: before the reset, the hour's history is kept as
+ * a small snapshot. Laid out side by side, 24 snapshots show how a whole day
+ * was spent - calm mornings, scattered afternoons, the meetings in between.
+ *
+ * The archive is a rolling window: a cell is shown while its hour lies within
+ * the last 24 hours, so yesterday's evening stays visible until today's
+ * evening replaces it. Cells from the previous day are drawn faded.
+ *
+ * @example
+ * archive.capture(9, clock.getCurrentDay(), [layers.trail, layers.history]);
+ * archive.renderMosaic(10, clock.getCurrentDay(), [layers.trail, layers.history]);
+ */
+class HourArchive {
+    /**
+     * @param {Object} config - Configuration object (uses CONFIG.archive)
+     */
+    constructor(config = CONFIG) {
+        this.config = config.archive;
+        this.cells = new Array(24).fill(null); // hour → {graphics, day}
+    }
+
+    /**
+     * Snapshot a completed hour
+     *
+     * @param {number} hour - Completed hour (0-23)
+     * @param {number} day - Day the hour belongs to (Clock day index)
+     * @param {Array<p5.Graphics>} layers - Layers composited bottom to top
+     */
+    capture(hour, day, layers) {
+        if (!this.config.enabled) return;
+
+        const thumbWidth = Math.max(1, Math.round(width * this.config.thumbnailScale));
+        const thumbHeight = Math.max(1, Math.round(height * this.config.thumbnailScale));
+
+        let cell = this.cells[hour];
+        if (!cell || cell.graphics.width !== thumbWidth || cell.graphics.height !== thumbHeight) {
+            if (cell) cell.graphics.remove();
+
+            const graphics = createGraphics(thumbWidth, thumbHeight);
+            graphics.pixelDensity(1);
+            cell = { graphics, day };
+            this.cells[hour] = cell;
+        }
+
+        cell.day = day;
+        cell.graphics.background(255);
+        layers.forEach(layer => cell.graphics.image(layer, 0, 0, thumbWidth, thumbHeight));
+    }
+
+    /**
+     * @param {number} day - Clock day index
+     * @returns {number} Hours of that day currently archived
+     */
+    getArchivedCount(day) {
+        return this.cells.filter(cell => cell && cell.day === day).length;
+    }
+
+    /**
+     * Draw the 24-cell mosaic over the main canvas
+     * The current hour is drawn live from the given layers.
+     *
+     * @param {number} currentHour - Hour in progress (0-23)
+     * @param {number} currentDay - Current Clock day index
+     * @param {Array<p5.Graphics>} liveLayers - Layers of the hour in progress
+     */
+    renderMosaic(currentHour, currentDay, liveLayers) {
+        const columns = this.config.mosaicColumns;
+        const rows = Math.ceil(24 / columns);
+        const gap = this.config.gap;
+        const cellWidth = (width - gap * (columns + 1)) / columns;
+        const cellHeight = (height - gap * (rows + 1)) / rows;
+
+        push();
+        noStroke();
+        fill(250);
+        rect(0, 0, width, height);
+
+        textFont('monospace');
+        textSize(10);
+        textAlign(LEFT, TOP);
+
+        for (let hour = 0; hour < 24; hour++) {
+            const x = gap + (hour % columns) * (cellWidth + gap);
+            const y = gap + Math.floor(hour / columns) * (cellHeight + gap);
+            const cell = this.cells[hour];
+
+            if (hour === currentHour) {
+                fill(255);
+                rect(x, y, cellWidth, cellHeight);
+                liveLayers.forEach(layer => image(layer, x, y, cellWidth, cellHeight));
+                noFill();
+                stroke(0, 120);
+                rect(x, y, cellWidth, cellHeight);
+                noStroke();
+            } else if (this._isInWindow(cell, hour, currentHour, currentDay)) {
+                // Yesterday's hours fade behind today's
+                if (cell.day < currentDay) tint(255, this.config.previousDayAlpha);
+                image(cell.graphics, x, y, cellWidth, cellHeight);
+                noTint();
+            } else {
+                noFill();
+                stroke(0, 25);
+                rect(x, y, cellWidth, cellHeight);
+                noStroke();
+            }
+
+            fill(0, hour === currentHour ? 200 : 110);
+            text(`${String(hour).padStart(2, '0')}:00`, x + 4, y + 4);
+        }
+
+        pop();
+    }
+
+    /**
+     * Free all snapshots
+     */
+    clear() {
+        this.cells.forEach(cell => {
+            if (cell) cell.graphics.remove();
+        });
+        this.cells = new Array(24).fill(null);
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Whether a cell's hour lies within the 23 hours before the current one
+     * @private
+     */
+    _isInWindow(cell, hour, currentHour, currentDay) {
+        if (!cell) return false;
+
+        const age = (currentDay * 24 + currentHour) - (cell.day * 24 + hour);
+        return age >= 1 && age <= 23;
+    }
+}
@@ -48,9 +48,11 @@ class InkDrip extends Particle {
         
         // Lifecycle
         this.fadeRate = dripConfig.fadeRate || 0.03;
+        this.parent = null; // InkDrop it hangs from (set by InkDrop._createDrip)
         this.parentDied = false;
         this.hasBeenStamped = false;
         this.stampProgress = 0; // Gradual stamp fade-in (0-1)
+        this.stainColor = null; // residue mixed with the pigment underneath (first stamp frame)
     }
 
     onBeforeUpdate() {
@@ -73,7 +75,8 @@ class InkDrip extends Particle {
             this.stampProgress = Math.min(1.0, stampFadeProgress);
         }
         
-        if (this.radius <= 0 || this.pos.y > height + 50) {
+        const offPaper = this.pos.y > height + 50 || this.pos.y < -50 || this.pos.x > width + 50 || this.pos.x < -50;
+        if (this.radius <= 0 || offPaper) {
             this.isDead = true;
             this.stampProgress = 1.0; // Fully visible when dead
         }
@@ -81,7 +84,13 @@ class InkDrip extends Particle {
 
     updatePhysics() {
         this.acc.set(0, 0);
+        
+        // Drips run down the page on their own; a tilted sheet pulls them further downhill
         this.acc.add(createVector(0, this.gravityStrength));
+        if (this.fluid && this.fluid.getBodyForce) {
+            const tilt = this.fluid.getBodyForce();
+            this.acc.add(createVector(tilt.x * this.gravityStrength, tilt.y * this.gravityStrength));
+        }
         
         if (this.fluid && typeof this.fluid.getVectorAtWithOffset === 'function') {
             try {
@@ -101,9 +110,13 @@ class InkDrip extends Particle {
         this.vel.add(this.acc);
         this.vel.limit(this.maxSpeed);
         this.pos.add(this.vel);
+        if (this.fluid) this.collideWithObstacles(this.fluid.obstacles); // runs along drawn walls
         
-        if (this.pos.x < 0) this.pos.x = width;
-        if (this.pos.x > width) this.pos.x = 0;
+        // Wrap sideways on an upright sheet; a sideways tilt runs drips off the edge
+        if (!this.fluid || !this.fluid.getBodyForce || this.fluid.getBodyForce().x === 0) {
+            if (this.pos.x < 0) this.pos.x = width;
+            if (this.pos.x > width) this.pos.x = 0;
+        }
     }
 
     display(layer) {
@@ -126,18 +139,21 @@ class InkDrip extends Particle {
         if (this.stampProgress <= 0 || this.radius <= 0) return;
         
         try {
+            if (!this.stainColor) {
+                const residue = color(red(this.color) * 0.7, green(this.color) * 0.7, blue(this.color) * 0.7);
+                this.stainColor = this.stampRenderer
+                    ? this.stampRenderer.mixWithUnderlying(historyLayer, this.pos.x, this.pos.y, this.radius * 2.0, residue)
+                    : residue;
+            }
+            
             historyLayer.push();
-            historyLayer.blendMode(MULTIPLY); // ✨ Blend mode for overlapping
+            historyLayer.blendMode(this.stampRenderer ? this.stampRenderer.getStainBlendMode() : MULTIPLY); // ✨ Blend mode for overlapping
             historyLayer.noStroke();
             const residueAlpha = 40 * this.stampProgress; // Apply fade-in (30 → 40, stronger)
-            historyLayer.fill(
-                red(this.color) * 0.7,
-                green(this.color) * 0.7,
-                blue(this.color) * 0.7,
-                residueAlpha
-            );
-            // ✨ Larger stamp size (1.5 → 2.0)
-            historyLayer.ellipse(this.pos.x, this.pos.y, this.radius * 2.0, this.radius * 2.0);
+            historyLayer.fill(red(this.stainColor), green(this.stainColor), blue(this.stainColor), residueAlpha);
+            // ✨ Larger stamp size (1.5 → 2.0), spread by the paper underneath
+            const stainSize = this.radius * 2.0 * (this.stampRenderer ? this.stampRenderer.getStainSpread(this.pos.x, this.pos.y) : 1);
+            historyLayer.ellipse(this.pos.x, this.pos.y, stainSize, stainSize);
             historyLayer.pop();
             
             // Mark as stamped only when fully faded in
@@ -186,9 +202,11 @@ class InkDrip extends Particle {
         this.maxSpeed = map(this.radius, 0, this.parentSize * 0.5, 1, dripConfig.maxSpeed || 2);
         
         // Reset state
+        this.parent = null;
         this.parentDied = false;
         this.hasBeenStamped = false;
         this.stampProgress = 0;
+        this.stainColor = null;
         
         // Regenerate splatter if needed
         if (this.splatterParticles) {
@@ -7,7 +7,8 @@
  * - Dependency Injection (config, renderers, fluid)
  * - Separation of Concerns: physics, rendering, lifecycle decoupled
  * 
- * Represents ink drops generated at 3 scales: second (1x), minute (6x), hour (36x)
+ * Represents ink drops generated at 3 scales: second (1x), minute (6x), hour (36x),
+ * plus calendar event drops (12x) for imported meetings
  */
 class InkDrop extends Particle {
     constructor(x, y, color, type = 'second', dependencies = {}) {
@@ -16,7 +17,9 @@ class InkDrop extends Particle {
             config = CONFIG,
             stampRenderer = null,
             splatterRenderer = null,
-            fluid = null
+            fluid = null,
+            budget = null,
+            factory = null
         } = dependencies;
 
         // Calculate properties based on type
@@ -31,6 +34,10 @@ class InkDrop extends Particle {
             size = baseSize * config.drops.hour.sizeMultiplier;
             lifespan = config.drops.hour.lifespan;
             opacity = config.drops.hour.opacity;
+        } else if (type === 'event') {
+            size = baseSize * config.drops.event.sizeMultiplier;
+            lifespan = config.drops.event.lifespan;
+            opacity = config.drops.event.opacity;
         } else {
             // second (default)
             size = baseSize;
@@ -57,26 +64,50 @@ class InkDrop extends Particle {
         // Stamp state
         this.hasBeenStamped = false;
         this.stampProgress = 0; // 0-1, gradual stamp fade-in
+        this.stainColor = null; // residue mixed with the pigment underneath (first stamp frame)
+
+        // Rewind state (time scrubbing): evaporates without leaving a stain
+        this.isRewinding = false;
+        this.rewindAge = 0;
+        this.rewindDuration = 0;
+
+        // Early stamp (level of detail): soaks in over earlyStampFrames, then dies
+        this.earlyStampFrames = 0;
+        this.earlyStampAge = 0;
 
         // Drip generation state
-        this.canDrip = (type === 'minute' || type === 'hour');
+        this.canDrip = (type === 'minute' || type === 'hour' || type === 'event');
         this.dripTimer = 0;
         this.dripInterval = config.drops.drip?.interval || 15;
         this.childDrips = [];
+        this.newDrip = null; // drip spawned this frame (returned by update)
 
         // Injected dependencies
         this.stampRenderer = stampRenderer || new StampRenderer(config.drops.stamp);
         this.splatterRenderer = splatterRenderer || new SplatterRenderer(config.drops.splatter);
         this.fluid = fluid;
+        this.budget = budget;
+        this.factory = factory; // creates drips (pooled); null = plain InkDrip
 
         // Generate initial splatter using renderer
         this.splatterParticles = this.splatterRenderer.generateSplatter(
             x, y,
             this.initialSize,
-            this.vel
+            this.vel,
+            this.budget ? this.budget.getSplatterScale() : 1
         );
     }
 
+    /**
+     * Override: also hand back the drip spawned this frame, so the app can track it
+     * @returns {InkDrip|null}
+     */
+    update(deltaTime = 1) {
+        this.newDrip = null;
+        super.update(deltaTime);
+        return this.newDrip;
+    }
+
     // ==================== LIFECYCLE HOOKS (Template Method Pattern) ====================
 
     /**
@@ -90,13 +121,14 @@ class InkDrop extends Particle {
             this._updateBirthAnimation();
         }
 
-        // Drip generation (only after birth)
-        if (this.birthAge > this.birthDuration && this.canDrip && this.config.drops.drip?.enabled) {
+        // Drip generation (only after birth), slowed down by the level of detail
+        const dripScale = this.budget ? this.budget.getDripScale() : 1;
+        if (this.birthAge > this.birthDuration && this.canDrip && this.config.drops.drip?.enabled && dripScale > 0) {
             this.dripTimer++;
-            if (this.dripTimer >= this.dripInterval) {
+            if (this.dripTimer >= this.dripInterval / dripScale) {
                 const drip = this._createDrip();
                 if (drip) {
-                    // Notify external system (observer pattern potential)
+                    this.newDrip = drip;
                     this.dripTimer = 0;
                 }
             }
@@ -138,6 +170,32 @@ class InkDrop extends Particle {
                 this.stampProgress = Math.min(1.0, stampFadeProgress);
             }
         }
+
+        // Stamped early (level of detail): soak in now instead of at the end of life
+        if (this.earlyStampFrames > 0) {
+            this.earlyStampAge++;
+            const progress = Math.min(1, this.earlyStampAge / this.earlyStampFrames);
+            this.stampProgress = Math.max(this.stampProgress, progress);
+            this.opacity = lerp(this.opacity, this.config.performance.stainFade.residueOpacity, progress);
+        }
+
+        // Rewinding: shrink and fade back into the paper
+        if (this.isRewinding) {
+            this.rewindAge++;
+            const remaining = Math.max(0, 1 - this.rewindAge / this.rewindDuration);
+            this.opacity *= remaining;
+            this.size *= remaining;
+            this.stampProgress = 0;
+        }
+    }
+
+    /**
+     * Override: rewound drops die once evaporated, early-stamped drops once soaked in
+     */
+    shouldDie() {
+        return super.shouldDie() ||
+            (this.isRewinding && this.rewindAge >= this.rewindDuration) ||
+            (this.earlyStampFrames > 0 && this.stampProgress >= 1);
     }
 
     /**
@@ -168,6 +226,10 @@ class InkDrop extends Particle {
             this.targetSize = baseSize * this.config.drops.hour.sizeMultiplier;
             this.lifespan = this.config.drops.hour.lifespan;
             this.initialOpacity = this.config.drops.hour.opacity;
+        } else if (type === 'event') {
+            this.targetSize = baseSize * this.config.drops.event.sizeMultiplier;
+            this.lifespan = this.config.drops.event.lifespan;
+            this.initialOpacity = this.config.drops.event.opacity;
         } else {
             this.targetSize = baseSize;
             this.lifespan = this.config.drops.second.lifespan;
@@ -184,16 +246,24 @@ class InkDrop extends Particle {
         // Reset state
         this.birthAge = 0;
         this.hasBeenStamped = false;
-        this.canDrip = (type === 'minute' || type === 'hour');
+        this.stampProgress = 0;
+        this.stainColor = null;
+        this.isRewinding = false;
+        this.rewindAge = 0;
+        this.earlyStampFrames = 0;
+        this.earlyStampAge = 0;
+        this.canDrip = (type === 'minute' || type === 'hour' || type === 'event');
         this.dripTimer = 0;
         this.childDrips = [];
+        this.newDrip = null;
         
         // Regenerate splatter
         this.splatterParticles = this.splatterRenderer.generateSplatter(
             this.pos.x,
             this.pos.y,
             this.initialSize,
-            this.vel
+            this.vel,
+            this.budget ? this.budget.getSplatterScale() : 1
         );
     }
 
@@ -201,7 +271,7 @@ class InkDrop extends Particle {
 
     /**
      * Override: Custom physics for ink drops
-     * Applies fluid force + sun repulsion
+     * Applies fluid force (the sun's push and wake arrive through it)
      * PHILOSOPHY: Sun = "objective time" that repels "subjective experiences"
      */
     updatePhysics() {
@@ -222,22 +292,28 @@ class InkDrop extends Particle {
             }
         }
 
-        // 2. Sun repulsion (objective time's sacred space)
-        if (this.fluid && this.fluid.sunDrop) {
-            const sunForce = this.fluid.sunDrop.getRepulsionForce(
-                this.pos.x, 
-                this.pos.y
-            );
-            this.acc.add(sunForce); // Strong repulsion
+        // 2. Gravity (tilt of the sheet) - heavy drops on wet paper barely creep
+        if (this.fluid && this.fluid.hasTilt()) {
+            const tilt = this.fluid.getBodyForce();
+            const response = this.config.fluid.gravity.dropResponse;
+            this.acc.x += tilt.x * response;
+            this.acc.y += tilt.y * response;
         }
 
         // Standard physics
         this.vel.add(this.acc);
-        this.vel.mult(0.95); // viscosity
+        this.vel.mult(this.fluid ? this.fluid.getViscosityAt(this.pos.x, this.pos.y) : 0.95); // viscosity (thicker where ink pooled)
         this.pos.add(this.vel);
 
-        // Screen wrapping
-        this.wrapScreen();
+        // Drawn walls are solid
+        if (this.fluid) this.collideWithObstacles(this.fluid.obstacles);
+
+        // Screen wrapping (ink pools at the downhill edge of a tilted sheet)
+        if (this.fluid) {
+            this.wrapOrPool(this.fluid.getBodyForce());
+        } else {
+            this.wrapScreen();
+        }
     }
 
     // ==================== RENDERING (Abstract display() implementation) ====================
@@ -284,6 +360,15 @@ class InkDrop extends Particle {
         
         layer.fill(red(this.color), green(this.color), blue(this.color), finalOpacity);
         layer.ellipse(this.pos.x, this.pos.y, finalSize);
+        
+        // Calendar events: thin outline marks a moment shared with others
+        if (this.type === 'event') {
+            const ringAlpha = (this.config.drops.event.ringAlpha || 120) * (this.opacity / this.initialOpacity);
+            layer.noFill();
+            layer.stroke(red(this.color), green(this.color), blue(this.color), ringAlpha);
+            layer.strokeWeight(1.5);
+            layer.ellipse(this.pos.x, this.pos.y, finalSize * 1.35);
+        }
 
         layer.pop();
     }
@@ -324,20 +409,28 @@ class InkDrop extends Particle {
         // Only stamp if we have some progress (started fading in)
         if (this.stampProgress <= 0) return;
 
-        // Get residue color
-        const residueColor = this._calculateResidueColor();
+        // Residue color, mixed once with the pigment already under the stain
+        // (later frames would only see this stain's own ink)
+        if (!this.stainColor) {
+            const residueColor = this._calculateResidueColor();
+            this.stainColor = this.stampRenderer.mixWithUnderlying(
+                historyLayer, this.pos.x, this.pos.y, this.targetSize * 0.8,
+                color(residueColor.r, residueColor.g, residueColor.b)
+            );
+        }
+        const stainColor = this.stainColor;
         
         // Apply fade-in alpha multiplier
         const fadeInAlpha = this.stampProgress;
 
-        // ✨ Set blend mode for overlapping transparency
+        // ✨ Set blend mode for overlapping transparency (MULTIPLY, or normal when pigments were mixed)
         historyLayer.push();
-        historyLayer.blendMode(MULTIPLY);
+        historyLayer.blendMode(this.stampRenderer.getStainBlendMode());
         
         // Render splatter residue with fade-in (✨ ENHANCED: stronger spread)
         for (let particle of this.splatterParticles) {
             const particleAlpha = particle.alpha * 0.7 * fadeInAlpha; // 0.4 → 0.7 (stronger)
-            historyLayer.fill(residueColor.r, residueColor.g, residueColor.b, particleAlpha);
+            historyLayer.fill(red(stainColor), green(stainColor), blue(stainColor), particleAlpha);
             historyLayer.ellipse(
                 this.pos.x + particle.offset.x,
                 this.pos.y + particle.offset.y,
@@ -352,7 +445,7 @@ class InkDrop extends Particle {
             this.pos.x,
             this.pos.y,
             this.targetSize * 0.8,  // 0.5 → 0.8 (stronger stamp)
-            color(residueColor.r, residueColor.g, residueColor.b),
+            stainColor,
             0,
             fadeInAlpha  // Pass fade-in alpha to renderer
         );
@@ -372,7 +465,138 @@ class InkDrop extends Particle {
      * Start stamping when fade-in begins (80% of lifespan)
      */
     shouldStamp() {
-        return this.stampProgress > 0 && !this.hasBeenStamped;
+        return this.stampProgress > 0 && !this.hasBeenStamped && !this.isRewinding;
+    }
+
+    /**
+     * Whether rewind() can still take this drop back (no stain on the paper yet)
+     */
+    canRewind() {
+        return !this.isRewinding && !this.isDead && this.stampProgress === 0 && this.earlyStampFrames === 0;
+    }
+
+    /**
+     * Whether stampEarly() can still hurry this drop (wet, not yet soaking in)
+     */
+    canStampEarly() {
+        return !this.isDead && !this.isRewinding && this.stampProgress === 0 && this.earlyStampFrames === 0;
+    }
+
+    /**
+     * Soak into the paper now (level of detail: BudgetManager over budget)
+     * The stain fades in over `frames`, then the drop dies and frees its slot.
+     * 
+     * @param {number} frames - Fade-in duration
+     * @returns {boolean} Whether the drop will stamp early
+     */
+    stampEarly(frames) {
+        if (!this.canStampEarly()) return false;
+
+        this.earlyStampFrames = Math.max(1, frames);
+        this.earlyStampAge = 0;
+        return true;
+    }
+
+    /**
+     * Hand the splatter particles back to the pool (called when the drop is released)
+     */
+    releaseSplatter() {
+        this.splatterRenderer.releaseSplatter(this.splatterParticles);
+        this.splatterParticles = [];
+    }
+
+    // ==================== COALESCENCE ====================
+
+    /**
+     * Whether this drop can still merge (wet - not yet soaking into the paper)
+     */
+    canCoalesce() {
+        return !this.isDead && !this.isRewinding && this.stampProgress === 0 && this.earlyStampFrames === 0 &&
+            this.birthAge > this.birthDuration;
+    }
+
+    /**
+     * Whether the rims of two drops overlap (CONFIG.drops.coalescence.overlap)
+     * @param {InkDrop} other
+     */
+    touches(other) {
+        const reach = (this.size + other.size) / 2 * this.config.drops.coalescence.overlap;
+        const dx = other.pos.x - this.pos.x;
+        const dy = other.pos.y - this.pos.y;
+        return dx * dx + dy * dy < reach * reach;
+    }
+
+    /**
+     * Take another drop in: volume adds up, momentum is conserved and the colors
+     * blend by volume. This drop keeps its type and stain lifecycle; the other
+     * dies without a stain of its own (its ink is now here).
+     * PHILOSOPHY: Moments that run into each other become one memory
+     * 
+     * @param {InkDrop} other - Drop to absorb (usually the smaller one)
+     * @returns {{x: number, y: number, size: number, parentSizes: Array<number>}} Merge report
+     */
+    absorb(other) {
+        // A drop on paper is a flat puddle: volume ~ area ~ size²
+        const volume = this.targetSize * this.targetSize;
+        const otherVolume = other.targetSize * other.targetSize;
+        const share = otherVolume / (volume + otherVolume);
+        const parentSizes = [this.size, other.size];
+
+        const mergedX = lerp(this.pos.x, other.pos.x, share);
+        const mergedY = lerp(this.pos.y, other.pos.y, share);
+
+        // Splatter stays where it landed (offsets are relative to the drop center)
+        const maxSplatter = this.config.drops.coalescence.maxSplatter;
+        const shift = (particle, fromX, fromY) => {
+            particle.offset.x += fromX - mergedX;
+            particle.offset.y += fromY - mergedY;
+            return particle;
+        };
+        const splatter = [
+            ...this.splatterParticles.map(particle => shift(particle, this.pos.x, this.pos.y)),
+            ...other.splatterParticles.map(particle => shift(particle, other.pos.x, other.pos.y))
+        ];
+        this.splatterParticles = splatter.slice(0, maxSplatter);
+        this.splatterRenderer.releaseSplatter(splatter.slice(maxSplatter));
+        other.splatterParticles = [];
+
+        this.pos.set(mergedX, mergedY);
+        this.vel.set(lerp(this.vel.x, other.vel.x, share), lerp(this.vel.y, other.vel.y, share));
+        this.color = lerpColor(this.color, other.color, share);
+
+        this.targetSize = Math.sqrt(volume + otherVolume);
+        this.initialSize = Math.sqrt(this.initialSize * this.initialSize + other.initialSize * other.initialSize);
+        this.size = Math.sqrt(this.size * this.size + other.size * other.size);
+        this.initialOpacity = lerp(this.initialOpacity, other.initialOpacity, share);
+        this.age = lerp(this.age, other.age, share);
+
+        // Drips of both parents now hang from the merged drop
+        this.canDrip = this.canDrip || other.canDrip;
+        other.childDrips.forEach(drip => {
+            if (drip.parent === other) drip.parent = this;
+        });
+        this.childDrips.push(...other.childDrips);
+        other.childDrips = [];
+        other.isDead = true;
+
+        return { x: mergedX, y: mergedY, size: this.size, parentSizes };
+    }
+
+    // ==================== TIME SCRUBBING ====================
+
+    /**
+     * Take this moment back: fade out over a few frames, leaving no stain
+     * PHILOSOPHY: Rewinding can only undo what has not yet soaked into the paper
+     * 
+     * @param {number} [duration=20] - Fade-out length in frames
+     */
+    rewind(duration = 20) {
+        if (!this.canRewind()) return;
+
+        this.isRewinding = true;
+        this.rewindAge = 0;
+        this.rewindDuration = Math.max(1, duration);
+        this.canDrip = false;
     }
 
     // ==================== PRIVATE METHODS ====================
@@ -394,12 +618,16 @@ class InkDrop extends Particle {
         const dripX = this.pos.x;
         const dripY = this.pos.y + this.size / 2;
 
-        // Create drip with same dependency injection pattern
-        const drip = new InkDrip(dripX, dripY, this.color, this.initialSize, {
-            config: this.config,
-            fluid: this.fluid
-        });
+        // Through the factory (pooled), else with the same dependency injection pattern
+        const drip = this.factory
+            ? this.factory.createDrip(dripX, dripY, this.color, this.initialSize)
+            : new InkDrip(dripX, dripY, this.color, this.initialSize, {
+                config: this.config,
+                fluid: this.fluid,
+                stampRenderer: this.stampRenderer
+            });
 
+        drip.parent = this;
         this.childDrips.push(drip);
         return drip;
     }
@@ -411,7 +639,8 @@ class InkDrop extends Particle {
         if (!this.childDrips) return;
 
         for (let drip of this.childDrips) {
-            if (drip && typeof drip === 'object' && 'parentDied' in drip) {
+            // A pooled drip may already hang from another drop
+            if (drip && drip.parent === this) {
                 drip.parentDied = true;
             }
         }
@@ -0,0 +1,352 @@
+/**
+ * ObstacleMap.js - Walls, islands and bowls drawn into the reservoir
+ *
+ * PHILOSOPHY: "Sculpting the Reservoir"
+ * Attention is never an open sea - it has shores: habits, rooms, routines.
+ * Drawn obstacles give the water a shape. Currents bend around them, ink
+ * bounces off them and pools in the bays they make.
+ *
+ * Strokes are stored as polylines in normalized canvas coordinates (0-1),
+ * so they survive a resize, and persisted in localStorage so the sculpted
+ * reservoir is still there when the page is opened again.
+ *
+ * Consumers rasterize lazily: every change bumps `version`.
+ * - Fluid: getCellMask() → solid grid cells (flow deflects, dye is blocked)
+ * - Particles: isSolidAt() (fine mask) + getContactAt() (exact push-out normal)
+ *
+ * @example
+ * obstacles.beginStroke(mouseX, mouseY);
+ * obstacles.extendStroke(mouseX, mouseY); // while dragging
+ * obstacles.endStroke();                  // saves
+ */
+class ObstacleMap {
+    /**
+     * @param {Object} config - Configuration object (uses CONFIG.fluid.obstacles)
+     */
+    constructor(config = CONFIG) {
+        this.config = config.fluid.obstacles;
+        this.restitution = this.config.restitution;
+
+        this.strokes = [];         // [{radius, points: [[x, y], ...]}], points normalized 0-1
+        this.activeStroke = null;  // Stroke being drawn
+        this.version = 0;          // Bumped on every change
+
+        // Fine collision mask (CONFIG.fluid.obstacles.cellSize px per cell)
+        this.mask = null;
+        this.maskCols = 0;
+        this.maskRows = 0;
+        this._maskKey = null;
+
+        this.load();
+    }
+
+    /**
+     * @returns {boolean} Whether any obstacle exists
+     */
+    hasObstacles() {
+        return this.strokes.length > 0;
+    }
+
+    // ==================== DRAWING ====================
+
+    /**
+     * Start a new wall at a canvas point
+     * @param {number} x - canvas x coordinate
+     * @param {number} y - canvas y coordinate
+     */
+    beginStroke(x, y) {
+        this.activeStroke = {
+            radius: this.config.brushRadius,
+            points: [[x / width, y / height]]
+        };
+        this.strokes.push(this.activeStroke);
+        this.version++;
+    }
+
+    /**
+     * Extend the wall being drawn
+     * @param {number} x - canvas x coordinate
+     * @param {number} y - canvas y coordinate
+     * @returns {boolean} True if a point was added (far enough from the last one)
+     */
+    extendStroke(x, y) {
+        if (!this.activeStroke) return false;
+
+        const points = this.activeStroke.points;
+        const [lastX, lastY] = points[points.length - 1];
+        if (Math.hypot(x - lastX * width, y - lastY * height) < this.activeStroke.radius * 0.5) return false;
+
+        points.push([x / width, y / height]);
+        this.version++;
+        return true;
+    }
+
+    /**
+     * Finish the wall being drawn and persist
+     */
+    endStroke() {
+        if (!this.activeStroke) return;
+
+        this.activeStroke = null;
+        this.save();
+    }
+
+    /**
+     * Remove every obstacle (and the saved copy)
+     */
+    clear() {
+        this.strokes = [];
+        this.activeStroke = null;
+        this.version++;
+        this.save();
+    }
+
+    // ==================== QUERIES ====================
+
+    /**
+     * @param {number} x - canvas x coordinate
+     * @param {number} y - canvas y coordinate
+     * @returns {boolean} Whether the point is inside a wall
+     */
+    isSolidAt(x, y) {
+        if (!this.hasObstacles() || x < 0 || y < 0 || x >= width || y >= height) return false;
+
+        this._ensureMask();
+        const cellSize = this.config.cellSize;
+        return this.mask[Math.floor(x / cellSize) + Math.floor(y / cellSize) * this.maskCols] === 1;
+    }
+
+    /**
+     * How to leave a wall from a point inside it
+     *
+     * @param {number} x - canvas x coordinate
+     * @param {number} y - canvas y coordinate
+     * @returns {{nx: number, ny: number, depth: number}|null} Outward normal and
+     *          distance to the wall surface (px), or null when not inside a wall
+     */
+    getContactAt(x, y) {
+        if (!this.isSolidAt(x, y)) return null;
+
+        let best = null;
+        this._forEachSegment((ax, ay, bx, by, radius) => {
+            const closest = this._closestPointOnSegment(x, y, ax, ay, bx, by);
+            const distance = Math.hypot(x - closest.x, y - closest.y);
+            const depth = radius - distance;
+
+            if (depth > 0 && (!best || depth < best.depth)) {
+                let nx = x - closest.x;
+                let ny = y - closest.y;
+                if (distance < 1e-6) {
+                    // Exactly on the center line: leave perpendicular to the wall
+                    const length = Math.hypot(bx - ax, by - ay) || 1;
+                    nx = -(by - ay) / length;
+                    ny = (bx - ax) / length;
+                    if (nx === 0 && ny === 0) ny = -1;
+                } else {
+                    nx /= distance;
+                    ny /= distance;
+                }
+                best = { nx, ny, depth };
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Solid cells of a fluid grid
+     * A cell is solid if a wall passes within half a cell of its center,
+     * so thin walls never leak between cell centers.
+     *
+     * @param {number} cols - Grid columns
+     * @param {number} rows - Grid rows
+     * @param {number} resolution - Cell size (px)
+     * @returns {Uint8Array} 1 = solid, index = x + y * cols
+     */
+    getCellMask(cols, rows, resolution) {
+        return this._rasterize(cols, rows, resolution, resolution * 0.5);
+    }
+
+    // ==================== RENDERING ====================
+
+    /**
+     * Draw the walls faintly onto a layer (the paper)
+     * @param {p5.Graphics} layer - Target layer
+     */
+    render(layer) {
+        if (!this.hasObstacles()) return;
+
+        layer.push();
+        this._applyDisplayStyle(layer);
+
+        this.strokes.forEach(stroke => {
+            layer.strokeWeight(stroke.radius * 2);
+            if (stroke.points.length === 1) {
+                layer.point(stroke.points[0][0] * width, stroke.points[0][1] * height);
+                return;
+            }
+            layer.beginShape();
+            stroke.points.forEach(([px, py]) => layer.vertex(px * width, py * height));
+            layer.endShape();
+        });
+
+        layer.pop();
+    }
+
+    /**
+     * Draw only the newest piece of the wall being drawn (its first dot, then each
+     * added segment), so the layer needn't be repainted while dragging.
+     * Joints overlap slightly darker until the next render().
+     * @param {p5.Graphics} layer - Target layer
+     */
+    renderActiveSegment(layer) {
+        if (!this.activeStroke) return;
+
+        const { radius, points } = this.activeStroke;
+        const [bx, by] = points[points.length - 1];
+
+        layer.push();
+        this._applyDisplayStyle(layer);
+        layer.strokeWeight(radius * 2);
+        if (points.length === 1) {
+            layer.point(bx * width, by * height);
+        } else {
+            const [ax, ay] = points[points.length - 2];
+            layer.line(ax * width, ay * height, bx * width, by * height);
+        }
+        layer.pop();
+    }
+
+    // ==================== PERSISTENCE ====================
+
+    /**
+     * Restore obstacles saved by a previous session
+     */
+    load() {
+        if (typeof localStorage === 'undefined') return;
+
+        try {
+            const saved = localStorage.getItem(this.config.storageKey);
+            if (!saved) return;
+
+            const data = JSON.parse(saved);
+            if (!Array.isArray(data.strokes)) {
+                throw new Error('ObstacleMap: saved obstacles have no strokes array');
+            }
+
+            this.strokes = data.strokes.filter(stroke =>
+                typeof stroke.radius === 'number' && Array.isArray(stroke.points) && stroke.points.length > 0
+            );
+            this.version++;
+            console.log(`🧱 Restored ${this.strokes.length} obstacle(s)`);
+        } catch (error) {
+            console.warn('⚠️ Could not restore saved obstacles:', error.message);
+        }
+    }
+
+    /**
+     * Persist obstacles for the next session
+     */
+    save() {
+        if (typeof localStorage === 'undefined') return;
+
+        try {
+            localStorage.setItem(this.config.storageKey, JSON.stringify({ strokes: this.strokes }));
+        } catch (error) {
+            console.warn('⚠️ Could not save obstacles:', error.message);
+        }
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Faint round-capped strokes (CONFIG.fluid.obstacles.display)
+     * @private
+     */
+    _applyDisplayStyle(layer) {
+        const { color, alpha } = this.config.display;
+        layer.noFill();
+        layer.stroke(color[0], color[1], color[2], alpha);
+        layer.strokeCap(ROUND);
+        layer.strokeJoin(ROUND);
+    }
+
+    /**
+     * Rebuild the fine collision mask when walls or canvas size changed
+     * @private
+     */
+    _ensureMask() {
+        const key = `${this.version}:${width}x${height}`;
+        if (key === this._maskKey) return;
+
+        const cellSize = this.config.cellSize;
+        this.maskCols = Math.ceil(width / cellSize);
+        this.maskRows = Math.ceil(height / cellSize);
+        this.mask = this._rasterize(this.maskCols, this.maskRows, cellSize, 0);
+        this._maskKey = key;
+    }
+
+    /**
+     * Mark cells whose center lies within (radius + padding) of any wall segment
+     * @private
+     */
+    _rasterize(cols, rows, cellSize, padding) {
+        const mask = new Uint8Array(cols * rows);
+
+        this._forEachSegment((ax, ay, bx, by, radius) => {
+            const reach = radius + padding;
+            const minX = Math.max(0, Math.floor((Math.min(ax, bx) - reach) / cellSize));
+            const maxX = Math.min(cols - 1, Math.floor((Math.max(ax, bx) + reach) / cellSize));
+            const minY = Math.max(0, Math.floor((Math.min(ay, by) - reach) / cellSize));
+            const maxY = Math.min(rows - 1, Math.floor((Math.max(ay, by) + reach) / cellSize));
+
+            for (let gy = minY; gy <= maxY; gy++) {
+                for (let gx = minX; gx <= maxX; gx++) {
+                    const cx = (gx + 0.5) * cellSize;
+                    const cy = (gy + 0.5) * cellSize;
+                    const closest = this._closestPointOnSegment(cx, cy, ax, ay, bx, by);
+                    if (Math.hypot(cx - closest.x, cy - closest.y) <= reach) {
+                        mask[gx + gy * cols] = 1;
+                    }
+                }
+            }
+        });
+
+        return mask;
+    }
+
+    /**
+     * Visit every wall segment in canvas pixels (single points become zero-length segments)
+     * @private
+     */
+    _forEachSegment(callback) {
+        this.strokes.forEach(stroke => {
+            const points = stroke.points;
+            if (points.length === 1) {
+                const x = points[0][0] * width;
+                const y = points[0][1] * height;
+                callback(x, y, x, y, stroke.radius);
+                return;
+            }
+            for (let i = 1; i < points.length; i++) {
+                callback(
+                    points[i - 1][0] * width, points[i - 1][1] * height,
+                    points[i][0] * width, points[i][1] * height,
+                    stroke.radius
+                );
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    _closestPointOnSegment(x, y, ax, ay, bx, by) {
+        const dx = bx - ax;
+        const dy = by - ay;
+        const lengthSq = dx * dx + dy * dy;
+        const t = lengthSq > 0 ? Math.min(1, Math.max(0, ((x - ax) * dx + (y - ay) * dy) / lengthSq)) : 0;
+
+        return { x: ax + t * dx, y: ay + t * dy };
+    }
+}
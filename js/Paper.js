@@ -0,0 +1,239 @@
+/**
+ * Paper.js - The sheet the ink soaks into
+ *
+ * PHILOSOPHY: "Every Paper Drinks Differently"
+ * The same drop of time reads differently depending on what it lands on.
+ * Blotchy washi drinks it greedily and wicks it out along its long fibers;
+ * heavily sized Tomoe River holds it on the surface in a crisp pool;
+ * cotton watercolor paper sits in between, soft-edged and even.
+ *
+ * The sheet is a coarse procedural model (CONFIG.paper.cellSize px per cell),
+ * built from Perlin noise and rebuilt lazily when the canvas size or preset changes:
+ * - fiber direction: the grain plus local swirls (less coherent = more tangled)
+ * - sizing: how much the surface resists ink (0-1)
+ * - absorbency: how readily ink soaks in and travels (0-1), blotchy on washi
+ *
+ * Consumers:
+ * - StampRenderer: stains stretch along the fibers and feather at their edges (sampleAt)
+ * - Background layer: tone, blotches and visible fibers (renderTexture)
+ *
+ * @example
+ * const fiber = paper.sampleAt(x, y); // {angle, sizing, absorbency}
+ * paper.cyclePreset();                // 'washi' → 'tomoeRiver' → 'cotton'
+ */
+class Paper {
+    /**
+     * @param {Object} config - Configuration object (uses CONFIG.paper)
+     */
+    constructor(config = CONFIG) {
+        this.config = config.paper;
+
+        // Coarse maps (index = x + y * cols)
+        this.cols = 0;
+        this.rows = 0;
+        this.angle = null;
+        this.sizing = null;
+        this.absorbency = null;
+        this._mapKey = null;
+
+        // Background texture, regenerated with the maps so repaints look identical
+        this.blotchGraphics = null;
+        this.fibers = null; // [x1, y1, x2, y2, alpha] per fiber
+
+        this._sample = { angle: 0, sizing: 0, absorbency: 0 };
+
+        this.setPreset(this.config.preset);
+    }
+
+    /**
+     * @param {string} name - Key of CONFIG.paper.presets
+     */
+    setPreset(name) {
+        const preset = this.config.presets[name];
+        if (!preset) {
+            throw new Error(`Paper: unknown preset '${name}'`);
+        }
+
+        this.presetName = name;
+        this.preset = preset;
+        this._mapKey = null;
+    }
+
+    /**
+     * Advance to the next preset in CONFIG.paper.presets
+     * @returns {string} New preset name
+     */
+    cyclePreset() {
+        const names = Object.keys(this.config.presets);
+        this.setPreset(names[(names.indexOf(this.presetName) + 1) % names.length]);
+        return this.presetName;
+    }
+
+    // ==================== QUERIES ====================
+
+    /**
+     * Paper properties under a canvas point (reused object - copy if kept)
+     *
+     * @param {number} x - canvas x coordinate
+     * @param {number} y - canvas y coordinate
+     * @returns {{angle: number, sizing: number, absorbency: number}} Fiber direction
+     *          (radians) and surface properties (0-1)
+     */
+    sampleAt(x, y) {
+        this._ensureMaps();
+
+        const cellSize = this.config.cellSize;
+        const gx = Math.min(Math.max(Math.floor(x / cellSize), 0), this.cols - 1);
+        const gy = Math.min(Math.max(Math.floor(y / cellSize), 0), this.rows - 1);
+        const index = gx + gy * this.cols;
+
+        this._sample.angle = this.angle[index];
+        this._sample.sizing = this.sizing[index];
+        this._sample.absorbency = this.absorbency[index];
+        return this._sample;
+    }
+
+    /**
+     * How far a stain spreads here, relative to the legacy stamp (1 = unchanged)
+     * Absorbent paper pulls ink outward, sizing holds it in place.
+     *
+     * @param {{sizing: number, absorbency: number}} fiber - From sampleAt()
+     * @returns {number} Size multiplier
+     */
+    getSpread(fiber) {
+        return Math.max(0.5, 1 + this.config.spread * (fiber.absorbency - fiber.sizing));
+    }
+
+    /**
+     * How much longer a stain runs along the fibers than across them
+     *
+     * @param {{absorbency: number}} fiber - From sampleAt()
+     * @returns {number} Aspect ratio (1 = round)
+     */
+    getStretch(fiber) {
+        return 1 + this.preset.anisotropy * fiber.absorbency;
+    }
+
+    // ==================== RENDERING ====================
+
+    /**
+     * Tint the sheet with the paper's tone, then draw its blotches and fibers
+     * (on top of the background fill)
+     * @param {p5.Graphics} layer - Target layer
+     */
+    renderTexture(layer) {
+        this._ensureMaps();
+
+        const [r, g, b] = this.preset.tone;
+        const cellSize = this.config.cellSize;
+
+        layer.push();
+        layer.noStroke();
+        layer.blendMode(MULTIPLY);
+        layer.fill(r, g, b);
+        layer.rect(0, 0, width, height);
+        layer.blendMode(BLEND);
+
+        // One texel per cell, upscaled (smoothed) into soft clouds
+        layer.image(this.blotchGraphics, 0, 0, this.cols * cellSize, this.rows * cellSize);
+
+        const fibers = this.fibers;
+        layer.strokeWeight(this.preset.fiberWeight);
+        for (let i = 0; i < fibers.length; i += 5) {
+            layer.stroke(r * 0.8, g * 0.8, b * 0.8, fibers[i + 4]);
+            layer.line(fibers[i], fibers[i + 1], fibers[i + 2], fibers[i + 3]);
+        }
+        layer.pop();
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Rebuild the maps and texture when the preset or canvas size changed
+     * @private
+     */
+    _ensureMaps() {
+        const key = `${this.presetName}:${width}x${height}`;
+        if (key === this._mapKey) return;
+
+        const preset = this.preset;
+        const cellSize = this.config.cellSize;
+        this.cols = Math.ceil(width / cellSize);
+        this.rows = Math.ceil(height / cellSize);
+
+        const size = this.cols * this.rows;
+        this.angle = new Float32Array(size);
+        this.sizing = new Float32Array(size);
+        this.absorbency = new Float32Array(size);
+
+        const swirl = TWO_PI * (1 - preset.fiberCoherence);
+        for (let gy = 0; gy < this.rows; gy++) {
+            for (let gx = 0; gx < this.cols; gx++) {
+                const index = gx + gy * this.cols;
+                const blotch = noise(gx / preset.blotchScale, gy / preset.blotchScale, 20) - 0.5;
+
+                this.angle[index] = preset.grainAngle + (noise(gx * 0.08, gy * 0.08, 10) - 0.5) * swirl;
+                // PHILOSOPHY: Thinner patches drink more and resist less
+                this.absorbency[index] = constrain(preset.absorbency + blotch * 2 * preset.blotchiness, 0.05, 1);
+                this.sizing[index] = constrain(preset.sizing - blotch * preset.blotchiness, 0, 1);
+            }
+        }
+
+        this._buildBlotches();
+        this._buildFibers();
+        this._mapKey = key;
+    }
+
+    /**
+     * Absorbent patches show as slightly darker clouds
+     * @private
+     */
+    _buildBlotches() {
+        const preset = this.preset;
+        const [r, g, b] = preset.tone;
+
+        if (this.blotchGraphics) this.blotchGraphics.remove();
+        this.blotchGraphics = createGraphics(this.cols, this.rows);
+        this.blotchGraphics.pixelDensity(1);
+
+        const graphics = this.blotchGraphics;
+        const blotchiness = Math.max(preset.blotchiness, 1e-6);
+        graphics.loadPixels();
+        for (let i = 0; i < this.absorbency.length; i++) {
+            const depth = constrain((this.absorbency[i] - preset.absorbency) / blotchiness, 0, 1);
+            const p = i * 4;
+            graphics.pixels[p] = r * 0.85;
+            graphics.pixels[p + 1] = g * 0.85;
+            graphics.pixels[p + 2] = b * 0.85;
+            graphics.pixels[p + 3] = depth * preset.blotchiness * this.config.blotchAlpha;
+        }
+        graphics.updatePixels();
+    }
+
+    /**
+     * Visible fibers, laid along the local fiber direction
+     * (count per 100x100 px = CONFIG.paper.presets[].fiberDensity)
+     * @private
+     */
+    _buildFibers() {
+        const preset = this.preset;
+        const count = Math.round(width * height / 10000 * preset.fiberDensity);
+        const cellSize = this.config.cellSize;
+
+        this.fibers = new Float32Array(count * 5);
+        for (let i = 0; i < count; i++) {
+            const x = random(width);
+            const y = random(height);
+            const gx = Math.min(Math.floor(x / cellSize), this.cols - 1);
+            const gy = Math.min(Math.floor(y / cellSize), this.rows - 1);
+            const angle = this.angle[gx + gy * this.cols] + random(-0.15, 0.15);
+            const halfLength = random(0.5, 1) * preset.fiberLength * 0.5;
+
+            this.fibers.set([
+                x - cos(angle) * halfLength, y - sin(angle) * halfLength,
+                x + cos(angle) * halfLength, y + sin(angle) * halfLength,
+                random(0.5, 1) * preset.fiberAlpha
+            ], i * 5);
+        }
+    }
+}
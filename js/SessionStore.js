@@ -0,0 +1,82 @@
+/**
+ * SessionStore.js - The hour in progress, kept across pauses and page loads
+ *
+ * PHILOSOPHY: "Picking Up Where the Water Left Off"
+ * Closing the tab shouldn't wash the hour away early. The drawing (trail and
+ * history layers) and the state of the water (Fluid.snapshot) are saved together,
+ * so a resumed session continues in the same currents, over the same ink.
+ *
+ * A session is only resumed within the hour (and day) it was saved in -
+ * the hourly wash still happens on time.
+ *
+ * @example
+ * sessionStore.save({ hour, day, fluid: fluid.snapshot(), layers: { history: dataURL } });
+ * const session = sessionStore.load(clock.getCurrentHour(), clock.getCurrentDay());
+ */
+class SessionStore {
+    /**
+     * @param {Object} config - Configuration object (uses CONFIG.session)
+     */
+    constructor(config = CONFIG) {
+        this.config = config.session;
+    }
+
+    /**
+     * Persist the hour in progress
+     *
+     * @param {{hour: number, day: number, fluid: Object, layers: Object<string, string>}} session
+     *        Fluid snapshot and layer images (data URLs) by layer name
+     * @returns {boolean} Whether it was stored (false when disabled or storage is full)
+     */
+    save(session) {
+        if (!this.config.enabled || typeof localStorage === 'undefined') return false;
+
+        try {
+            localStorage.setItem(this.config.storageKey, JSON.stringify({ ...session, savedAt: Date.now() }));
+            return true;
+        } catch (error) {
+            console.warn('⚠️ Could not save session:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * @param {number} hour - Hour in progress (0-23)
+     * @param {number} day - Current Clock day index
+     * @returns {Object|null} Session saved during that hour, or null
+     */
+    load(hour, day) {
+        if (!this.config.enabled || typeof localStorage === 'undefined') return null;
+
+        try {
+            const saved = localStorage.getItem(this.config.storageKey);
+            if (!saved) return null;
+
+            const session = JSON.parse(saved);
+            if (!session.fluid || !session.layers) {
+                throw new Error('SessionStore: saved session has no fluid or layers');
+            }
+
+            // PHILOSOPHY: An earlier hour has already been washed away
+            if (session.hour !== hour || session.day !== day) return null;
+
+            return session;
+        } catch (error) {
+            console.warn('⚠️ Could not restore session:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Forget the saved session
+     */
+    clear() {
+        if (typeof localStorage === 'undefined') return;
+
+        try {
+            localStorage.removeItem(this.config.storageKey);
+        } catch (error) {
+            console.warn('⚠️ Could not clear session:', error.message);
+        }
+    }
+}
@@ -0,0 +1,123 @@
+/**
+ * SolarCycle.js - Where the real sun is, computed offline
+ *
+ * PHILOSOPHY: "The Sky Behind the Paper"
+ * The SunDrop measures the hour; the real sun measures the day. 6am and 11pm
+ * should not look alike: dawn warms the paper, dusk burns the ink, and night
+ * cools everything toward indigo. No network, no API - only the configured
+ * latitude/longitude and a low-precision solar ephemeris (~0.01° in this era,
+ * far below what the eye can see in a palette).
+ *
+ * Phases blend continuously by solar altitude (CONFIG.colors.solar.altitudes):
+ * - night:    sun below `night` (-12°, nautical twilight)
+ * - dawn/dusk: strongest at `horizon` (0°); dawn while the sun rises, dusk as it sets
+ * - day:      sun above `day` (10°)
+ *
+ * @example
+ * const solar = new SolarCycle(CONFIG.colors.solar);
+ * solar.getPhase(Date.now()); // { phase: 'dusk', altitude: -2.1, rising: false, weights: {...} }
+ */
+class SolarCycle {
+    /**
+     * @param {Object} solarConfig - CONFIG.colors.solar
+     */
+    constructor(solarConfig = {}) {
+        this.config = solarConfig;
+        this.setLocation(solarConfig.latitude, solarConfig.longitude);
+    }
+
+    /**
+     * @param {number} latitude - Degrees north (-90 to 90)
+     * @param {number} longitude - Degrees east (-180 to 180)
+     */
+    setLocation(latitude, longitude) {
+        if (typeof latitude !== 'number' || latitude < -90 || latitude > 90) {
+            throw new Error(`SolarCycle: latitude must be between -90 and 90, got ${latitude}`);
+        }
+        if (typeof longitude !== 'number' || longitude < -180 || longitude > 180) {
+            throw new Error(`SolarCycle: longitude must be between -180 and 180, got ${longitude}`);
+        }
+
+        this.latitude = latitude;
+        this.longitude = longitude;
+    }
+
+    /**
+     * Solar position at an instant
+     *
+     * @param {number} epochMs - Unix time in ms
+     * @returns {{altitude: number, hourAngle: number}} Degrees; hourAngle < 0 before solar noon
+     */
+    getPosition(epochMs) {
+        const rad = Math.PI / 180;
+        const d = epochMs / 86400000 - 10957.5; // days since J2000.0 (2000-01-01 12:00 UTC)
+
+        // Sun's ecliptic longitude
+        const meanAnomaly = (357.529 + 0.98560028 * d) * rad;
+        const meanLongitude = 280.459 + 0.98564736 * d;
+        const eclipticLongitude = (meanLongitude + 1.915 * Math.sin(meanAnomaly) + 0.020 * Math.sin(2 * meanAnomaly)) * rad;
+        const obliquity = (23.439 - 0.00000036 * d) * rad;
+
+        // Equatorial coordinates
+        const rightAscension = Math.atan2(Math.cos(obliquity) * Math.sin(eclipticLongitude), Math.cos(eclipticLongitude)) / rad;
+        const declination = Math.asin(Math.sin(obliquity) * Math.sin(eclipticLongitude));
+
+        // Local sidereal time → hour angle
+        const siderealDegrees = (18.697374558 + 24.06570982441908 * d) * 15 + this.longitude;
+        const hourAngle = ((siderealDegrees - rightAscension) % 360 + 540) % 360 - 180;
+
+        const latitude = this.latitude * rad;
+        const altitude = Math.asin(
+            Math.sin(latitude) * Math.sin(declination) +
+            Math.cos(latitude) * Math.cos(declination) * Math.cos(hourAngle * rad)
+        ) / rad;
+
+        return { altitude, hourAngle };
+    }
+
+    /**
+     * Day phase with blend weights for palette modulation
+     *
+     * @param {number} epochMs - Unix time in ms
+     * @returns {{phase: string, altitude: number, rising: boolean, daylight: number,
+     *            weights: {night: number, dawn: number, day: number, dusk: number}}}
+     */
+    getPhase(epochMs) {
+        const { altitude, hourAngle } = this.getPosition(epochMs);
+        const altitudes = this.config.altitudes || { night: -12, horizon: 0, day: 10 };
+        const rising = hourAngle < 0;
+
+        let night = 0;
+        let twilight = 0;
+        let day = 0;
+
+        if (altitude <= altitudes.night) {
+            night = 1;
+        } else if (altitude < altitudes.horizon) {
+            twilight = (altitude - altitudes.night) / (altitudes.horizon - altitudes.night);
+            night = 1 - twilight;
+        } else if (altitude < altitudes.day) {
+            day = (altitude - altitudes.horizon) / (altitudes.day - altitudes.horizon);
+            twilight = 1 - day;
+        } else {
+            day = 1;
+        }
+
+        const weights = {
+            night,
+            dawn: rising ? twilight : 0,
+            day,
+            dusk: rising ? 0 : twilight
+        };
+
+        const phase = Object.keys(weights).reduce((best, name) => weights[name] > weights[best] ? name : best, 'night');
+
+        return {
+            phase,
+            altitude,
+            rising,
+            daylight: day + twilight * 0.5,
+            weights
+        };
+    }
+}
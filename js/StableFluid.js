@@ -0,0 +1,290 @@
+/**
+ * StableFluid.js - Grid-based Navier-Stokes backend for Fluid
+ *
+ * PHILOSOPHY: "Momentum of Attention"
+ * In the noise backend a stir is forgotten the next frame. Real water remembers:
+ * a hand drawn through it leaves currents that carry, curl into eddies and slowly
+ * settle. Distraction lingers after the distraction has stopped.
+ *
+ * TECHNICAL IMPLEMENTATION (Jos Stam, "Stable Fluids", 1999):
+ * - Velocity stored in Float32Arrays on a (cols + 2) x (rows + 2) grid (1-cell wall border)
+ * - The ambient current reuses Fluid's worker-computed drift snapshot
+ * - Each frame: ambient current + tilt + sun current → diffusion → projection → semi-Lagrangian
+ *   advection → projection → dissipation
+ * - Projection (Gauss-Seidel pressure solve) keeps the flow divergence-free,
+ *   so ink swirls instead of piling into sinks
+ * - Velocities are in px/frame, the same units getVectorAt() returned before
+ *
+ * Same public API as Fluid (sampling, forces and vorticity confinement are inherited
+ * and read/write through the cell hooks below): getVectorAt, addForceAtPoint, applyRipple,
+ * applyCircularForce, turbulence/viscosity. Selected with CONFIG.fluid.solver = 'stable'.
+ *
+ * @class
+ * @extends Fluid
+ * @property {Float32Array} u - Horizontal velocity (px/frame)
+ * @property {Float32Array} v - Vertical velocity (px/frame)
+ */
+class StableFluid extends Fluid {
+    /**
+     * Allocate solver grids (called by the Fluid constructor)
+     */
+    initField() {
+        const size = (this.cols + 2) * (this.rows + 2);
+
+        this.u = new Float32Array(size);
+        this.v = new Float32Array(size);
+        this.u0 = new Float32Array(size);
+        this.v0 = new Float32Array(size);
+        this.pressure = new Float32Array(size);
+        this.divergence = new Float32Array(size);
+    }
+
+    /**
+     * Advance the simulation one frame
+     */
+    update() {
+        const solverConfig = this.config.fluid.stable;
+
+        this._syncObstacles();
+        this._addAmbientCurrent(solverConfig.ambientForce);
+        this._applyBodyForce(1 - solverConfig.dissipation); // projection balances it with pressure in the closed tray
+        this._addSunFlow(1 - solverConfig.dissipation, (gx, gy, vx, vy) => this._addVelocityToCell(gx, gy, vx, vy)); // momentum keeps the wake
+        this._applyVorticityConfinement(this.config.fluid.vorticity);
+
+        // Diffuse (viscous spreading)
+        [this.u0, this.u] = [this.u, this.u0];
+        [this.v0, this.v] = [this.v, this.v0];
+        this._diffuse(1, this.u, this.u0, solverConfig.diffusion);
+        this._diffuse(2, this.v, this.v0, solverConfig.diffusion);
+        this._project();
+
+        // Self-advect (momentum carries)
+        [this.u0, this.u] = [this.u, this.u0];
+        [this.v0, this.v] = [this.v, this.v0];
+        this._advect(1, this.u, this.u0);
+        this._advect(2, this.v, this.v0);
+        this._project();
+
+        // PHILOSOPHY: Scattered attention keeps the currents alive longer
+        const dissipation = lerp(solverConfig.dissipation, solverConfig.turbulentDissipation, this.turbulence);
+        for (let i = 0; i < this.u.length; i++) {
+            this.u[i] *= dissipation;
+            this.v[i] *= dissipation;
+        }
+        this._applyObstacles();
+
+        this._updateDye();
+    }
+
+    /**
+     * Forces become velocity (scaled by CONFIG.fluid.stable.forceScale) and persist
+     * @protected
+     */
+    _addForceToCell(gx, gy, fx, fy) {
+        const scale = this.config.fluid.stable.forceScale;
+        super._addForceToCell(gx, gy, fx * scale, fy * scale);
+    }
+
+    /**
+     * @protected
+     */
+    _addVelocityToCell(gx, gy, vx, vy) {
+        const index = this._index(gx + 1, gy + 1);
+        this.u[index] += vx;
+        this.v[index] += vy;
+    }
+
+    /**
+     * @protected
+     */
+    _readCellVelocity(gx, gy) {
+        const index = this._index(gx + 1, gy + 1);
+        this._cellVelocity.x = this.u[index];
+        this._cellVelocity.y = this.v[index];
+        return this._cellVelocity;
+    }
+
+    // ==================== SOLVER (PRIVATE) ====================
+
+    /**
+     * @private
+     * @param {number} i - Column including the wall border (0 to cols + 1)
+     * @param {number} j - Row including the wall border (0 to rows + 1)
+     */
+    _index(i, j) {
+        return i + (this.cols + 2) * j;
+    }
+
+    /**
+     * Gentle Perlin current so the reservoir is never perfectly still
+     * (read from the shared drift snapshot, so the noise stays off the main thread)
+     * @private
+     */
+    _addAmbientCurrent(strength) {
+        if (!strength) return;
+
+        this._refreshBaseFlow();
+        const scale = strength / this.driftMagnitude;
+        for (let j = 1; j <= this.rows; j++) {
+            for (let i = 1; i <= this.cols; i++) {
+                const base = (i - 1) + (j - 1) * this.cols;
+                const index = this._index(i, j);
+                this.u[index] += this.baseX[base] * scale;
+                this.v[index] += this.baseY[base] * scale;
+            }
+        }
+    }
+
+    /**
+     * Implicit diffusion (stable for any rate)
+     * @private
+     */
+    _diffuse(b, x, x0, rate) {
+        if (!rate) {
+            x.set(x0);
+            return;
+        }
+        this._linearSolve(b, x, x0, rate, 1 + 4 * rate);
+    }
+
+    /**
+     * Semi-Lagrangian advection: trace each cell back along the flow
+     * @private
+     */
+    _advect(b, d, d0) {
+        const dt0 = 1 / this.resolution; // px/frame → cells/frame
+        const maxX = this.cols + 0.5;
+        const maxY = this.rows + 0.5;
+
+        for (let j = 1; j <= this.rows; j++) {
+            for (let i = 1; i <= this.cols; i++) {
+                const index = this._index(i, j);
+                const x = Math.min(Math.max(i - dt0 * this.u0[index], 0.5), maxX);
+                const y = Math.min(Math.max(j - dt0 * this.v0[index], 0.5), maxY);
+
+                const i0 = Math.floor(x);
+                const j0 = Math.floor(y);
+                const s1 = x - i0;
+                const s0 = 1 - s1;
+                const t1 = y - j0;
+                const t0 = 1 - t1;
+
+                d[index] =
+                    s0 * (t0 * d0[this._index(i0, j0)] + t1 * d0[this._index(i0, j0 + 1)]) +
+                    s1 * (t0 * d0[this._index(i0 + 1, j0)] + t1 * d0[this._index(i0 + 1, j0 + 1)]);
+            }
+        }
+        this._setBoundary(b, d);
+    }
+
+    /**
+     * Remove divergence (pressure projection) so the flow conserves mass
+     * @private
+     */
+    _project() {
+        const p = this.pressure;
+        const div = this.divergence;
+
+        for (let j = 1; j <= this.rows; j++) {
+            for (let i = 1; i <= this.cols; i++) {
+                const index = this._index(i, j);
+                div[index] = -0.5 * (
+                    this.u[this._index(i + 1, j)] - this.u[this._index(i - 1, j)] +
+                    this.v[this._index(i, j + 1)] - this.v[this._index(i, j - 1)]
+                );
+                p[index] = 0;
+            }
+        }
+        this._setBoundary(0, div);
+        this._setBoundary(0, p);
+        this._linearSolve(0, p, div, 1, 4);
+
+        for (let j = 1; j <= this.rows; j++) {
+            for (let i = 1; i <= this.cols; i++) {
+                const index = this._index(i, j);
+                this.u[index] -= 0.5 * (p[this._index(i + 1, j)] - p[this._index(i - 1, j)]);
+                this.v[index] -= 0.5 * (p[this._index(i, j + 1)] - p[this._index(i, j - 1)]);
+            }
+        }
+        this._setBoundary(1, this.u);
+        this._setBoundary(2, this.v);
+    }
+
+    /**
+     * Gauss-Seidel relaxation for (x - a * laplacian(x)) = x0
+     * @private
+     */
+    _linearSolve(b, x, x0, a, c) {
+        const iterations = this.config.fluid.stable.iterations;
+        const invC = 1 / c;
+        const stride = this.cols + 2;
+
+        for (let k = 0; k < iterations; k++) {
+            for (let j = 1; j <= this.rows; j++) {
+                for (let i = 1; i <= this.cols; i++) {
+                    const index = i + stride * j;
+                    x[index] = (x0[index] + a * (
+                        x[index - 1] + x[index + 1] + x[index - stride] + x[index + stride]
+                    )) * invC;
+                }
+            }
+            this._setBoundary(b, x);
+        }
+    }
+
+    /**
+     * Canvas edges are walls: flow slides along them but not through
+     * (b = 1: horizontal component, 2: vertical, 0: scalar).
+     * Drawn obstacles are walls too: no velocity inside, scalars copied from open neighbors.
+     * @private
+     */
+    _setBoundary(b, x) {
+        const cols = this.cols;
+        const rows = this.rows;
+
+        for (let j = 1; j <= rows; j++) {
+            x[this._index(0, j)] = b === 1 ? -x[this._index(1, j)] : x[this._index(1, j)];
+            x[this._index(cols + 1, j)] = b === 1 ? -x[this._index(cols, j)] : x[this._index(cols, j)];
+        }
+        for (let i = 1; i <= cols; i++) {
+            x[this._index(i, 0)] = b === 2 ? -x[this._index(i, 1)] : x[this._index(i, 1)];
+            x[this._index(i, rows + 1)] = b === 2 ? -x[this._index(i, rows)] : x[this._index(i, rows)];
+        }
+
+        x[this._index(0, 0)] = 0.5 * (x[this._index(1, 0)] + x[this._index(0, 1)]);
+        x[this._index(0, rows + 1)] = 0.5 * (x[this._index(1, rows + 1)] + x[this._index(0, rows)]);
+        x[this._index(cols + 1, 0)] = 0.5 * (x[this._index(cols, 0)] + x[this._index(cols + 1, 1)]);
+        x[this._index(cols + 1, rows + 1)] = 0.5 * (x[this._index(cols, rows + 1)] + x[this._index(cols + 1, rows)]);
+
+        if (this.solid) this._setObstacleBoundary(b, x);
+    }
+
+    /**
+     * @private
+     */
+    _setObstacleBoundary(b, x) {
+        const cols = this.cols;
+        const solid = this.solid;
+
+        for (let gy = 0; gy < this.rows; gy++) {
+            for (let gx = 0; gx < cols; gx++) {
+                if (!solid[gx + gy * cols]) continue;
+
+                const index = this._index(gx + 1, gy + 1);
+                if (b !== 0) {
+                    x[index] = 0;
+                    continue;
+                }
+
+                // Scalar (pressure): zero gradient across the wall surface
+                let sum = 0;
+                let count = 0;
+                if (gx > 0 && !solid[gx - 1 + gy * cols]) { sum += x[index - 1]; count++; }
+                if (gx < cols - 1 && !solid[gx + 1 + gy * cols]) { sum += x[index + 1]; count++; }
+                if (gy > 0 && !solid[gx + (gy - 1) * cols]) { sum += x[index - (cols + 2)]; count++; }
+                if (gy < this.rows - 1 && !solid[gx + (gy + 1) * cols]) { sum += x[index + (cols + 2)]; count++; }
+                x[index] = count > 0 ? sum / count : 0;
+            }
+        }
+    }
+}
@@ -1,6 +1,9 @@
 /**
  * Represents the "Sun" drop, a special marker for the current hour.
  * It moves horizontally across the top of the screen over the course of 60 minutes.
+ *
+ * Extra suns (CONFIG.sun.zones) share this class: each gets its own lane
+ * (config.yPosition), color and `label`, and follows its zone's minute.
  */
 class SunDrop {
     /**
@@ -15,6 +18,10 @@ class SunDrop {
         this.radius = this.config.size;
         this.color = this.config.color;
         this.pulseAngle = 0;
+        this.heading = 1;       // direction of travel along the lane (wake trails behind)
+        this._flow = { x: 0, y: 0 };
+        this.eventMarkers = []; // upcoming calendar events in this hour
+        this.timeText = null;   // zone suns: local time next to the label
     }
 
     /**
@@ -23,15 +30,58 @@ class SunDrop {
      */
     update(minute) {
         // Map the minute to the canvas width
+        const previousX = this.x;
         this.x = (minute / 59) * this.canvasWidth;
+        
+        // Jumps across the lane (new hour) don't turn the wake around
+        const moved = this.x - previousX;
+        if (moved !== 0 && Math.abs(moved) < this.canvasWidth / 2) {
+            this.heading = Math.sign(moved);
+        }
         this.pulseAngle += this.config.pulseSpeed;
     }
 
+    /**
+     * Follow a canvas resize: the lane spans the new width.
+     * @param {number} canvasWidth - The new width of the canvas.
+     */
+    resize(canvasWidth) {
+        this.x *= canvasWidth / this.canvasWidth;
+        this.canvasWidth = canvasWidth;
+    }
+
+    /**
+     * Time shown next to the label (zone suns only).
+     * @param {string|null} text - e.g. "14:37"
+     */
+    setTimeText(text) {
+        this.timeText = text;
+    }
+
+    /**
+     * Tint the sun (and its trail) - e.g. ember at dusk, pale at night.
+     * @param {Array<number>} rgb - [r, g, b]
+     */
+    setColor(rgb) {
+        this.color = rgb || this.config.color;
+    }
+
+    /**
+     * Set the calendar events to show along the sun's lane.
+     * @param {Array<{summary: string, startMinute: number, endMinute: number, isActive: boolean}>} markers
+     */
+    setEventMarkers(markers) {
+        this.eventMarkers = markers || [];
+    }
+
     /**
      * Renders the SunDrop on the provided graphics layer.
      * @param {p5.Graphics} layer - The graphics layer to draw on.
      */
     render(layer) {
+        this._renderEventMarkers(layer);
+        this._renderLabel(layer);
+        
         // Pulsating corona effect
         const pulseSize = this.radius * (1 + Math.sin(this.pulseAngle) * this.config.pulseMagnitude);
         
@@ -45,6 +95,54 @@ class SunDrop {
         layer.ellipse(this.x, this.y, this.radius, this.radius);
     }
 
+    /**
+     * Zone name trailing the sun (e.g. "Tokyo 14:37"), flipped to the left near the edge.
+     * @param {p5.Graphics} layer
+     */
+    _renderLabel(layer) {
+        if (!this.config.label) return;
+
+        const text = this.timeText ? `${this.config.label} ${this.timeText}` : this.config.label;
+        const nearRightEdge = this.x > this.canvasWidth - 120;
+
+        layer.push();
+        layer.noStroke();
+        layer.fill(0, 140);
+        layer.textSize(this.config.labelSize || 10);
+        layer.textAlign(nearRightEdge ? RIGHT : LEFT, CENTER);
+        layer.text(text, this.x + (nearRightEdge ? -this.radius : this.radius), this.y);
+        layer.pop();
+    }
+
+    /**
+     * Faint bars on the lane where upcoming events fall within this hour.
+     * PHILOSOPHY: Scheduled time is a promise, not yet ink - it waits in the sun's path.
+     * @param {p5.Graphics} layer
+     */
+    _renderEventMarkers(layer) {
+        const markerConfig = this.config.eventMarkers;
+        if (!markerConfig || !markerConfig.enabled || this.eventMarkers.length === 0) return;
+
+        layer.push();
+        layer.noStroke();
+        layer.textSize(markerConfig.labelSize);
+        layer.textAlign(LEFT, TOP);
+
+        this.eventMarkers.forEach(marker => {
+            const startX = Math.min(marker.startMinute / 59, 1) * this.canvasWidth;
+            const endX = Math.min(marker.endMinute / 59, 1) * this.canvasWidth;
+            const alpha = marker.isActive ? markerConfig.activeAlpha : markerConfig.alpha;
+
+            layer.fill(this.color[0], this.color[1], this.color[2], alpha);
+            layer.rect(startX, this.y - markerConfig.thickness / 2, Math.max(endX - startX, 2), markerConfig.thickness, markerConfig.thickness / 2);
+
+            layer.fill(0, alpha);
+            layer.text(marker.summary, startX, this.y + this.radius / 2 + 4);
+        });
+
+        layer.pop();
+    }
+
     /**
      * Stamp motion trail to trail layer
      * PHILOSOPHY: The sun's path is objective and unwavering, 
@@ -58,8 +156,8 @@ class SunDrop {
         const config = this.config.trail;
         if (!config || !config.enabled) return;
         
-        // Sun leaves a golden trail regardless of turbulence
-        const trailColor = this.config.color || [255, 220, 0];
+        // Sun leaves its own trail regardless of turbulence
+        const trailColor = this.color || [255, 220, 0];
         const trailAlpha = config.baseAlpha || 50;
         const trailSize = this.radius * (config.sizeMultiplier || 0.8);
 
@@ -68,6 +166,52 @@ class SunDrop {
         trailLayer.ellipse(this.x, this.y, trailSize, trailSize);
     }
 
+    /**
+     * The sun as a moving source in the water (read by Fluid for every cell in reach)
+     * 
+     * PHILOSOPHY: Objective time doesn't only repel moments - it stirs the medium
+     * they float in. Water is pushed out of its sacred space (getRepulsionForce) and
+     * dragged along its lane, so everything carried by the flow (drops, dye, drips,
+     * ripples) feels its passing.
+     * 
+     * @param {number} x - canvas x coordinate
+     * @param {number} y - canvas y coordinate
+     * @param {{x: number, y: number}} [out] - Reused result object
+     * @returns {{x: number, y: number}} Current the sun adds at the point (px/frame)
+     */
+    getFlowAt(x, y, out = this._flow) {
+        const flowConfig = this.config.flow;
+        const dx = x - this.x;
+        const dy = y - this.y;
+        const radius = this.config.repulsionRadius || 150;
+        
+        out.x = 0;
+        out.y = 0;
+        if (!flowConfig || !flowConfig.enabled) return out;
+        
+        // Near field: the sun's own repulsion, strongest at the core
+        this.getRepulsionForce(x, y, out);
+        
+        // Wake: a band along the lane behind the sun, flowing the way it travels
+        const behind = -dx * this.heading;
+        const halfWidth = radius * 0.5;
+        if (behind > 0 && behind < flowConfig.wakeLength && Math.abs(dy) < halfWidth) {
+            out.x += this.heading * flowConfig.wake * (1 - behind / flowConfig.wakeLength) * (1 - Math.abs(dy) / halfWidth);
+        }
+        
+        return out;
+    }
+
+    /**
+     * @returns {number} Distance (px) beyond which getFlowAt is zero (0 = no flow)
+     */
+    getFlowReach() {
+        const flowConfig = this.config.flow;
+        if (!flowConfig || !flowConfig.enabled) return 0;
+        
+        return Math.max(this.config.repulsionRadius || 150, flowConfig.wakeLength);
+    }
+
     /**
      * Calculate repulsion force for drops near the sun
      * 
@@ -78,11 +222,15 @@ class SunDrop {
      * march of objective time. This creates a "sacred space" where time itself
      * maintains its own territory.
      * 
+     * Each sun's repulsion is the near field of its source in the water (getFlowAt),
+     * so drops feel it through the flow they follow rather than as a second push.
+     * 
      * @param {number} dropX - X position of the drop
      * @param {number} dropY - Y position of the drop
-     * @returns {p5.Vector} - Repulsion force vector (outward from sun)
+     * @param {{x: number, y: number}} [out] - Reused result object (default: new p5.Vector)
+     * @returns {p5.Vector|{x: number, y: number}} - Repulsion force vector (outward from sun)
      */
-    getRepulsionForce(dropX, dropY) {
+    getRepulsionForce(dropX, dropY, out = createVector(0, 0)) {
         const dx = dropX - this.x;
         const dy = dropY - this.y;
         const distance = Math.sqrt(dx * dx + dy * dy);
@@ -90,14 +238,15 @@ class SunDrop {
         const repulsionRadius = this.config.repulsionRadius || 150;
         const repulsionStrength = this.config.repulsionStrength || 2;
         
+        out.x = 0;
+        out.y = 0;
         if (distance < repulsionRadius && distance > 0) {
             // Inverse distance falloff: closer = stronger repulsion
             const force = repulsionStrength * (1 - distance / repulsionRadius);
-            const normalizedX = dx / distance;
-            const normalizedY = dy / distance;
-            return createVector(normalizedX * force, normalizedY * force);
+            out.x = (dx / distance) * force;
+            out.y = (dy / distance) * force;
         }
         
-        return createVector(0, 0);
+        return out;
     }
 }
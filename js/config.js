@@ -36,6 +36,17 @@ const CONFIG = {
             clearHistory: true               // reset canvas on new hour
         },
         
+        // Calendar event drop (imported .ics meetings)
+        event: {
+            sizeMultiplier: 12,              // between minute (6x) and hour (36x)
+            lifespan: 900,                   // frames (15 sec @ 60fps)
+            opacity: 230,
+            fadeMode: 'stain',
+            color: [110, 35, 50],            // Oxblood - distinct from the time gradient
+            endScale: 0.5,                   // closing drop size relative to the opening drop
+            ringAlpha: 120                   // outline that marks a shared moment
+        },
+        
         // Organic splatter effect (inspired by kwertyops painting code)
         splatter: {
             enabled: true,                   // enable splash effect
@@ -56,6 +67,13 @@ const CONFIG = {
             gravityStrength: 0.05,           // Greatly reduced direct gravity pull. (Reduced from 0.15)
             fluidInfluence: 0.9,             // Drips primarily follow the fluid's flow. (Increased from 0.8)
             wobble: 0.2
+        },
+        
+        // Touching drops merge: volume adds up, momentum is conserved, colors blend
+        coalescence: {
+            enabled: true,
+            overlap: 0.8,                    // merge when centers are closer than 0.8 x (sum of radii)
+            maxSplatter: 60                  // splatter particles a merged drop keeps
         }
     },
 
@@ -87,9 +105,33 @@ const CONFIG = {
         hourVariation: {
             enabled: true,
             darknessByHour: true,
-            brightnessRange: [0.85, 1.0]     // slightly darker overall (ink absorption)
+            brightnessRange: [0.85, 1.0]     // [night, full daylight] ink brightness (ink absorption)
         },
         
+        // Real sun position (offline) → dawn/day/dusk/night palette
+        solar: {
+            enabled: true,
+            latitude: 37.57,                 // degrees north (default: Seoul)
+            longitude: 126.98,               // degrees east
+            altitudes: {                     // solar altitude (°) where a phase is at full strength
+                night: -12,                  // nautical twilight
+                horizon: 0,                  // peak dawn/dusk
+                day: 10
+            },
+            // ink: tint mixed into the minute gradient (inkAmount 0-1)
+            // paper: background tint, sun: SunDrop color
+            phases: {
+                night: { ink: [30, 40, 85],   inkAmount: 0.30, paper: [232, 234, 242], sun: [205, 215, 255] },
+                dawn:  { ink: [185, 110, 125], inkAmount: 0.20, paper: [255, 243, 236], sun: [255, 175, 120] },
+                day:   { ink: null,            inkAmount: 0,    paper: [255, 255, 255], sun: [255, 220, 0] },
+                dusk:  { ink: [165, 80, 45],   inkAmount: 0.25, paper: [252, 236, 222], sun: [255, 125, 55] }
+            }
+        },
+        
+        // How overlapping stains mix: 'kubelka-munk' = pigment mixing (like real inks),
+        // 'multiply' = RGB multiply (overlaps turn muddy dark gray)
+        mixingModel: 'kubelka-munk',
+        
         // Turbulence desaturation (Pillar 3: distracted mind)
         turbulence: {
             desaturationAmount: 0.6,         // how much color fades when turbulent (0-1)
@@ -105,6 +147,20 @@ const CONFIG = {
         maxActiveDrops: 180,                 // max active drops before forced stamping
         stampOpacityThreshold: 50,           // stamp when opacity falls below this
         stampAgeThreshold: 400,              // or when age exceeds this many frames
+        maxActiveDrips: 240,                 // drips count toward the load too
+        
+        // Level of detail (BudgetManager): load = active / max, the highest tier reached applies
+        lod: {
+            tiers: [
+                { name: 'full', load: 0, splatter: 1, drips: 1 },
+                { name: 'reduced', load: 0.6, splatter: 0.6, drips: 0.5 },
+                { name: 'minimal', load: 0.85, splatter: 0.3, drips: 0.2 },
+                { name: 'critical', load: 1, splatter: 0.1, drips: 0 }
+            ],
+            hysteresis: 0.05,                // load must fall this far below a tier to leave it
+            earlyStampFrames: 30,            // fade-in of a forced stamp (frames)
+            maxEarlyStampsPerFrame: 8        // forced stamps are spread over frames
+        },
         
         // Staining effect (realistic ink absorption into paper)
         stainFade: {
@@ -115,13 +171,78 @@ const CONFIG = {
     },
 
     // ========================================
-    // FLUID SIMULATION (Perlin noise based)
+    // FLUID SIMULATION (Perlin noise or Navier-Stokes)
     // ========================================
     fluid: {
+        solver: 'noise',                     // 'noise' = Perlin drift rebuilt each frame, 'stable' = Navier-Stokes (currents persist)
         resolution: 25,                      // grid cell size (px)
         noiseScale: 0.15,                    // Perlin noise detail (increased for more variation)
         noiseSpeed: 0.005,                   // animation speed (faster change)
         baseFlowMagnitude: 0.15,             // base current strength (very subtle drift)
+        baseFlow: 'curl',                    // 'curl' = divergence-free swirls, 'angle' = Perlin angle per cell (ink can pool in sinks)
+        curlGain: 2,                         // curl drift speed (noise gradient averages ~0.5, so 2 ≈ angle-mode speed)
+        sampling: 'bilinear',                // 'bilinear' = continuous drift between cells, 'nearest' = snap to cell
+        vorticity: 0.15,                     // vorticity confinement (0 = off; higher keeps small eddies spinning)
+        sunWake: 0.97,                       // noise solver: sun current kept per frame (the wake it leaves)
+        
+        // Perlin drift computed off the main thread (falls back to main thread if unavailable)
+        worker: {
+            enabled: true,
+            script: 'js/FluidWorker.js?v=16'  // relative to index.html
+        },
+        
+        // Stable-fluids solver (solver: 'stable')
+        stable: {
+            iterations: 12,                  // Gauss-Seidel steps (pressure + diffusion accuracy)
+            diffusion: 0.05,                 // viscous spreading per frame (cells², 0 = inviscid)
+            dissipation: 0.99,               // velocity kept per frame when calm
+            turbulentDissipation: 0.997,     // ...when turbulent (distraction lingers)
+            forceScale: 0.15,                // mouse/chime force → velocity (px/frame)
+            ambientForce: 0.003              // Perlin current added per frame (never fully still)
+        },
+        
+        // Dye field: pigment released by drops, carried by the flow
+        dye: {
+            enabled: true,
+            depositRate: 0.015,              // concentration added per frame under a live drop
+            birthDeposit: 0.35,              // extra splash when a drop lands
+            diffusion: 0.05,                 // spread per frame (max 0.25)
+            absorption: 0.997,               // fraction left in the water per frame (rest soaks into paper)
+            fullDensity: 0.25,               // mean concentration that fully muffles the ambient pad
+            dragRange: [0.95, 0.85],         // drop velocity kept per frame: clean water → saturated ink
+            pooling: 0.35,                   // how much deeper new ink looks where ink has pooled (0-1)
+            wash: {
+                enabled: true,
+                alpha: 60,                   // wash opacity at full concentration
+                color: [70, 80, 105]         // diluted ink tone
+            }
+        },
+        
+        // Gravity: tilt of the sheet (arrow keys adjust it live)
+        gravity: {
+            preset: 'tabletop',              // 'tabletop' (flat) | 'easel' (leaning) | 'wall' (upright)
+            presets: {                       // downhill tilt [x, y] (1 = upright)
+                tabletop: [0, 0],
+                easel: [0, 0.4],
+                wall: [0, 1]
+            },
+            dropResponse: 0.003,             // drop acceleration per unit tilt (wet drops barely creep)
+            flowBias: 0.02,                  // water drift downhill per unit tilt (px/frame)
+            step: 0.1,                       // tilt change per arrow-key press
+            maxTilt: 1.5
+        },
+        
+        // Drawn obstacles (walls/islands), solid to flow, dye and ink
+        obstacles: {
+            brushRadius: 8,                  // wall half-thickness (px)
+            cellSize: 4,                     // collision mask resolution (px)
+            restitution: 0.3,                // bounce off walls (0 = slide, 1 = elastic)
+            storageKey: 'ephemeralTime.obstacles', // localStorage key (kept across sessions)
+            display: {
+                color: [90, 90, 105],        // faint outline on the paper
+                alpha: 40
+            }
+        },
         
         // Individual drop variation (for autonomous movement)
         dropVariation: {
@@ -178,6 +299,34 @@ const CONFIG = {
             volume: 0.25
         },
         
+        // Merging drops: the parents' notes (pitch from size) over the merged drop's lower note
+        mergeSound: {
+            useGenerative: true,
+            oscillator: {
+                type: 'triangle',
+                attack: 0.01,
+                decay: 0.35,
+                sustain: 0,
+                release: 0.15
+            },
+            sizeRange: [8, 288],             // drop diameter (px) → dropSound freqRange, high to low
+            volume: 0.12,
+            minInterval: 0.08                // seconds between merge sounds (bursts stay quiet)
+        },
+        
+        // Chime bell (pitch and volume come from chime.levels)
+        chimeSound: {
+            useGenerative: true,
+            oscillator: {
+                type: 'sine',
+                attack: 0.005,
+                decay: 1.2,
+                sustain: 0,
+                release: 0.6
+            },
+            overtone: 2.76                   // inharmonic bell partial (ratio to fundamental)
+        },
+        
         // Ambient pad (controlled by ink density)
         ambient: {
             enabled: true,
@@ -210,15 +359,23 @@ const CONFIG = {
         // Drag to disturb fluid
         fluidDrag: {
             enabled: true,
-            visualFeedback: false            // show flow vectors
+            visualFeedback: false            // start with the flow overlay on (arrows); V cycles modes
         },
         
-        // Scrubbing (time manipulation - stretch goal)
+        // Scrubbing (time manipulation): hold the modifier and drag horizontally
         scrubbing: {
             enabled: true,
+            modifier: 'shift',               // 'shift' | 'alt' | 'control' | null (plain drag)
             dragLeft: 'reverse',             // fade recent drops
             dragRight: 'forward',            // burst new drops
-            sensitivity: 0.05
+            sensitivity: 0.05,               // scrubbed seconds per dragged pixel (20px = 1s)
+            rewindFrames: 20                 // fade-out length of a rewound drop
+        },
+        
+        // Obstacle drawing: hold the modifier and drag to draw a wall (O clears all)
+        obstacleDrawing: {
+            enabled: true,
+            modifier: 'alt'                  // must differ from scrubbing.modifier
         },
         
         // Debug
@@ -238,6 +395,110 @@ const CONFIG = {
         maxDropRadius: 540                   // hour drop: 15 * 36 = 540
     },
 
+    // Procedural paper: fiber direction, sizing and absorbency shape every stain (P key cycles)
+    paper: {
+        preset: 'tomoeRiver',
+        cellSize: 16,                        // px per map cell
+        spread: 0.3,                         // stain size change per unit of (absorbency - sizing)
+        blotchAlpha: 90,                     // darkest blotch alpha at blotchiness 1
+        presets: {
+            // Handmade kozo: long tangled fibers, thin absorbent patches, ink wicks far
+            washi: {
+                tone: [246, 240, 226],
+                grainAngle: 0,               // radians, dominant fiber direction
+                fiberCoherence: 0.6,         // 1 = all fibers follow the grain
+                fiberDensity: 6,             // visible fibers per 100x100 px
+                fiberLength: 40,             // px
+                fiberWeight: 0.7,
+                fiberAlpha: 45,
+                sizing: 0.2,                 // surface resistance to ink (0-1)
+                absorbency: 0.85,            // how readily ink soaks in and travels (0-1)
+                blotchiness: 0.35,           // absorbency variation between patches
+                blotchScale: 6,              // patch size (cells)
+                anisotropy: 0.35,            // stretch along the fibers at full absorbency
+                feathering: 1.0              // fiber strokes at the stain edge (x CONFIG.drops.stamp.fibers)
+            },
+            // Thin, heavily sized: ink sits on top in crisp, round pools
+            tomoeRiver: {
+                tone: [252, 250, 245],
+                grainAngle: 0,
+                fiberCoherence: 0.3,
+                fiberDensity: 1.5,
+                fiberLength: 12,
+                fiberWeight: 0.4,
+                fiberAlpha: 14,
+                sizing: 0.9,
+                absorbency: 0.25,
+                blotchiness: 0.05,
+                blotchScale: 12,
+                anisotropy: 0.05,
+                feathering: 0.1
+            },
+            // Cotton watercolor: matted short fibers, soft even bleed
+            cotton: {
+                tone: [250, 247, 238],
+                grainAngle: 0,
+                fiberCoherence: 0.15,
+                fiberDensity: 3,
+                fiberLength: 18,
+                fiberWeight: 0.5,
+                fiberAlpha: 22,
+                sizing: 0.55,
+                absorbency: 0.65,
+                blotchiness: 0.15,
+                blotchScale: 3,
+                anisotropy: 0.15,
+                feathering: 0.5
+            }
+        }
+    },
+
+    // Flow-field overlay (V key) - for tuning noiseScale, mouseForce and viscosity by eye
+    visualization: {
+        modes: ['off', 'arrows', 'streamlines', 'lic', 'vorticity'],
+        arrowScale: 8,                       // arrow length per px/frame of flow
+        streamlines: {
+            count: 600,                      // tracer particles
+            lifespan: 90,                    // frames before a tracer respawns
+            speedScale: 6,                   // tracers outrun the ink so the flow reads at a glance
+            fade: 18,                        // streak fade per frame (0-255, lower = longer streaks)
+            color: [20, 60, 140]
+        },
+        lic: {
+            pixelSize: 8,                    // texel size (px) - smaller is sharper but slower
+            steps: 10,                       // integration steps each way along the streamline
+            stepLength: 3,                   // px per step
+            interval: 20,                    // frames per full refresh (rows are spread over them)
+            contrast: 3,                     // stretches the averaged noise back toward black/white
+            alpha: 170,
+            color: [25, 35, 60]
+        },
+        heatmap: {
+            maxVorticity: 0.05,              // |curl| drawn at full intensity (1/frame)
+            alpha: 150,
+            clockwise: [220, 70, 50],
+            counterClockwise: [40, 90, 220]
+        }
+    },
+
+    // Completed hours kept for the day mosaic (M key)
+    archive: {
+        enabled: true,
+        thumbnailScale: 0.25,                // snapshot size relative to canvas (24 kept in memory)
+        mosaicColumns: 6,                    // 6 x 4 grid
+        gap: 6,                              // px between cells
+        previousDayAlpha: 140                // yesterday's hours drawn faded
+    },
+
+    // The hour in progress, resumed after a pause or reload within the same hour
+    session: {
+        enabled: true,
+        storageKey: 'ephemeralTime.session', // localStorage key
+        layers: ['trail', 'history'],        // drawing saved with the fluid (dye is part of the fluid)
+        saveOnPause: true,                   // SPACE
+        saveOnExit: true                     // page closed or reloaded
+    },
+
     // ========================================
     // SUN DROP (HOURLY MARKER)
     // ========================================
@@ -250,24 +511,66 @@ const CONFIG = {
         pulseSpeed: 0.05,
         pulseMagnitude: 0.2,
         repulsionRadius: 150,
-        repulsionStrength: 0.8,              // reduced from 2 for gentler repulsion
+        repulsionStrength: 0.8,              // outward current at the core (px/frame), fades to 0 at repulsionRadius
+        
+        // The sun stirs the water itself - drops, drips, dye and ripples feel it through the flow
+        flow: {
+            enabled: true,
+            wake: 0.35,                      // current dragged along the lane behind the sun (px/frame)
+            wakeLength: 300                  // px behind the sun
+        },
+        
+        // Upcoming calendar events on the sun's lane
+        eventMarkers: {
+            enabled: true,
+            alpha: 50,                       // faint: promises, not yet ink
+            activeAlpha: 110,                // event in progress
+            thickness: 6,
+            labelSize: 10
+        },
         
         // Sun-specific trail configuration
         trail: {
             enabled: true,
             baseAlpha: 80,                   // Brighter, more prominent trail
             sizeMultiplier: 0.5              // Smaller, sharper trail
-        }
+        },
+        
+        // Extra suns for distributed teams - one labeled lane per zone, below the main sun
+        // e.g. [{ label: 'Seoul', timeZone: 'Asia/Seoul', color: [255, 220, 0] },
+        //       { label: 'Tokyo', timeZone: 'Asia/Tokyo', color: [230, 95, 85] },
+        //       { label: 'Berlin', timeZone: 'Europe/Berlin', color: [85, 145, 230] }]
+        zones: [],
+        laneSpacing: 36,                     // px between sun lanes
+        labelSize: 10
     },
 
     // ========================================
-    // CHIME DROPS (Quarter-hour markers)
+    // CHIME DROPS (Scheduled temporal markers)
     // ========================================
     chime: {
         ripple: {
             count: 3,                        // number of drops in ripple pattern
             radius: 100,                     // radius of ripple pattern
-            sizeMultiplier: 4                // size relative to second drops
+            sizeMultiplier: 4,               // size relative to second drops
+            strength: 5                      // outward push of the fluid ripple (1/3 screen wide)
+        },
+        
+        // Which minutes chime. Each entry: { minute, level } or { every: 10, offset, level }
+        schedule: {
+            default: [
+                { minute: 15, level: 1 },    // quarter hour
+                { minute: 30, level: 2 },    // half hour
+                { minute: 45, level: 3 }     // three quarters
+            ],
+            hours: {}                        // per-hour overrides, e.g. { 12: { every: 10, level: 1 } }
+        },
+        
+        // Significance level → cymatics, marker and bell
+        levels: {
+            1: { rings: 3, markerSize: 25, companions: 0, bellFreq: 880, bellVolume: 0.2 },
+            2: { rings: 6, markerSize: 35, companions: 1, bellFreq: 660, bellVolume: 0.25 },
+            3: { rings: 9, markerSize: 50, companions: 2, bellFreq: 440, bellVolume: 0.3 }
         }
     },
 
@@ -295,8 +598,19 @@ const CONFIG = {
     // TIME CONTROL (for testing/presentation)
     // ========================================
     time: {
-        speedMultiplier: 1,                  // 1 = real-time, 60 = 1 minute per second
-        useRealTime: true                    // false = use simulated accelerated time
+        source: null,                        // 'real' | 'simulated' | 'virtual' (manual step), null = derive from useRealTime
+        speedMultiplier: 1,                  // simulation only: 1 = real-time, 60 = 1 minute per second, 3600 = 1 hour per second
+        maxSecondEventsPerUpdate: 5,         // second events per frame when time runs fast (minute/chime/hour never dropped)
+        useRealTime: true,                   // false = use simulated accelerated time (demo mode)
+        timeZone: null,                      // IANA zone for real-time mode (e.g. 'Asia/Seoul'), null = local
+
+        // Catch-up after the tab was backgrounded (browsers throttle draw())
+        catchUp: {
+            enabled: true,
+            mode: 'replay',                  // 'replay' = compressed burst of missed drops, 'summary' = fast-forward + one summary stain
+            gapThresholdMs: 2000,            // wall-clock gap treated as missed time
+            ticksPerUpdate: 4                // replay speed (clock ticks emitted per frame)
+        }
     }
 };
 
@@ -0,0 +1,126 @@
+/**
+ * BudgetManager.js - Level of detail under heavy ink
+ *
+ * PHILOSOPHY: "A Busy Hour Still Has to Flow"
+ * A frantic stretch of mouse activity should leave a dense page, not a frozen one.
+ * When the page gets crowded, detail gives way before the frame rate does:
+ * splashes get sparser, drops drip less, and the oldest ink soaks into the
+ * paper early instead of lingering wet.
+ *
+ * Load = active / budget (CONFIG.performance.maxActiveDrops, maxActiveDrips), whichever
+ * is fuller. The highest CONFIG.performance.lod tier the load reaches applies; a tier
+ * is only left once the load falls `hysteresis` below it, so it doesn't flicker.
+ *
+ * Above the first tier, drops are stamped early (InkDrop.stampEarly):
+ * - past stampAgeThreshold frames or below stampOpacityThreshold opacity
+ * - the oldest, until no more than maxActiveDrops are left wet
+ *
+ * @example
+ * budget.update(app.activeDrops, app.activeDrips); // once per frame, before drops update
+ * budget.getSplatterScale();                       // 0-1, read by InkDrop
+ */
+class BudgetManager {
+    /**
+     * @param {Object} config - Configuration object (uses CONFIG.performance)
+     */
+    constructor(config = CONFIG) {
+        this.config = config.performance;
+        this.tiers = this.config.lod.tiers;
+
+        if (!Array.isArray(this.tiers) || this.tiers.length === 0) {
+            throw new Error('BudgetManager: CONFIG.performance.lod.tiers must be a non-empty array');
+        }
+
+        this.tierIndex = 0;
+        this.load = 0;
+        this.earlyStampCount = 0; // drops stamped early this hour (debug overlay)
+    }
+
+    /**
+     * Pick the tier for this frame and stamp drops early if over budget
+     *
+     * @param {Array<InkDrop>} drops - Active drops
+     * @param {Array<InkDrip>} drips - Active drips
+     */
+    update(drops, drips) {
+        this.load = Math.max(
+            drops.length / this.config.maxActiveDrops,
+            drips.length / this.config.maxActiveDrips
+        );
+
+        let index = 0;
+        while (index + 1 < this.tiers.length && this.load >= this.tiers[index + 1].load) index++;
+
+        // Hysteresis: step down only once clearly below the current tier
+        if (index < this.tierIndex && this.load > this.tiers[this.tierIndex].load - this.config.lod.hysteresis) {
+            index = this.tierIndex;
+        }
+
+        if (index !== this.tierIndex) {
+            console.log(`🎚 LOD: ${this.tiers[this.tierIndex].name} → ${this.tiers[index].name} (load ${(this.load * 100).toFixed(0)}%)`);
+            this.tierIndex = index;
+        }
+
+        if (this.tierIndex > 0) this._stampEarly(drops);
+    }
+
+    /**
+     * @returns {{name: string, load: number, splatter: number, drips: number}} Current tier
+     */
+    getTier() {
+        return this.tiers[this.tierIndex];
+    }
+
+    /**
+     * @returns {number} Share of the configured splatter particles new drops get (0-1)
+     */
+    getSplatterScale() {
+        return this.getTier().splatter;
+    }
+
+    /**
+     * @returns {number} Drip rate relative to CONFIG.drops.drip.interval (0 = no new drips)
+     */
+    getDripScale() {
+        return this.getTier().drips;
+    }
+
+    /**
+     * New hour: the page is washed, start counting again
+     */
+    reset() {
+        this.tierIndex = 0;
+        this.load = 0;
+        this.earlyStampCount = 0;
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Stamp overdue drops, then the oldest until the budget fits
+     * (at most lod.maxEarlyStampsPerFrame per frame, so the stamping cost is spread out)
+     * @private
+     */
+    _stampEarly(drops) {
+        const lodConfig = this.config.lod;
+        // PHILOSOPHY: The hour mark is never rushed
+        const candidates = drops.filter(drop => drop.type !== 'hour' && drop.canStampEarly());
+        const excess = candidates.length - this.config.maxActiveDrops;
+
+        candidates.sort((a, b) => b.age - a.age);
+
+        let stamped = 0;
+        for (const drop of candidates) {
+            if (stamped >= lodConfig.maxEarlyStampsPerFrame) break;
+
+            const overdue = drop.age > this.config.stampAgeThreshold ||
+                drop.opacity < this.config.stampOpacityThreshold;
+            if (stamped < excess || overdue) {
+                drop.stampEarly(lodConfig.earlyStampFrames);
+                stamped++;
+            }
+        }
+
+        this.earlyStampCount += stamped;
+    }
+}
@@ -47,27 +47,38 @@ class Container {
         this.registerSingleton('config', () => this.config);
         
         // Core services
-        this.registerSingleton('clock', () => new Clock(this.config));
-        this.registerSingleton('fluid', () => new Fluid(this.config.fluid.resolution, this.config));
-        this.registerSingleton('colorManager', () => new ColorManager(this.config));
+        this.registerSingleton('timeSource', () => TimeSource.fromConfig(this.config.time));
+        this.registerSingleton('chimeSchedule', () => new ChimeSchedule(this.config.chime));
+        this.registerSingleton('calendar', () => new Calendar());
+        this.registerSingleton('clock', () =>
+            new Clock(this.config, this.get('timeSource'), this.get('chimeSchedule'), this.get('calendar'))
+        );
+        this.registerSingleton('fluid', () => Fluid.fromConfig(this.config));
+        this.registerSingleton('obstacles', () => new ObstacleMap(this.config));
+        this.registerSingleton('flowVisualizer', () => new FlowVisualizer(this.config, this.get('fluid')));
+        this.registerSingleton('solarCycle', () => new SolarCycle(this.config.colors.solar));
+        this.registerSingleton('colorManager', () => new ColorManager(this.config, this.get('solarCycle')));
         this.registerSingleton('audio', () => new Audio(this.config));
+        this.registerSingleton('hourArchive', () => new HourArchive(this.config));
+        this.registerSingleton('sessionStore', () => new SessionStore(this.config));
+        this.registerSingleton('paper', () => new Paper(this.config));
+        
+        // Object pool for performance (typed: sub-pools are defined by the
+        // splatter renderer and the particle factory)
+        this.registerSingleton('particlePool', () =>
+            new ObjectPool(this.config.performance?.poolSize || 200)
+        );
         
         // Rendering strategies (shared instances for performance)
         this.registerSingleton('stampRenderer', () => 
-            new StampRenderer(this.config.drops?.stamp || {})
+            new StampRenderer(this.config.drops?.stamp || {}, this.get('colorManager'), this.get('paper'))
         );
         this.registerSingleton('splatterRenderer', () => 
-            new SplatterRenderer(this.config.drops?.splatter || {})
+            new SplatterRenderer(this.config.drops?.splatter || {}, this.get('particlePool'))
         );
         
-        // Object pool for performance (must be registered BEFORE particleFactory)
-        // Note: Pool will receive factory through lazy getter
-        this.registerSingleton('particlePool', () =>
-            new ObjectPool(
-                () => this.get('particleFactory'),
-                this.config.performance?.poolSize || 200
-            )
-        );
+        // Level of detail under heavy ink (read by drops through the factory)
+        this.registerSingleton('budgetManager', () => new BudgetManager(this.config));
         
         // Particle factory (depends on other services + pool)
         // ✨ Now includes pool for object pooling performance
@@ -78,7 +89,8 @@ class Container {
                 colorManager: this.get('colorManager'),
                 stampRenderer: this.get('stampRenderer'),
                 splatterRenderer: this.get('splatterRenderer'),
-                pool: this.get('particlePool') // ✨ Inject pool
+                pool: this.get('particlePool'), // ✨ Inject pool
+                budget: this.get('budgetManager')
             });
             return factory;
         });
@@ -10,122 +10,182 @@
  * - Better memory utilization
  * - Predictable performance
  * 
+ * Typed: each kind of object has its own sub-pool, defined by whoever creates it
+ * (ParticleFactory: drops, drips, cymatics; SplatterRenderer: splatter particles).
+ * Sub-pools share a group when several types live in one app collection
+ * (all drop types → 'drop'), so getStats() can compare them against it.
+ * 
  * @example
- * const pool = new ObjectPool(() => factory, 200);
- * const particle = pool.acquire(x, y, color, 'second');
- * pool.release(particle);
+ * pool.define('drip', { create: (x, y) => new InkDrip(x, y, ...), reset: (drip, x, y) => drip.reset(x, y) });
+ * const drip = pool.acquire('drip', x, y);
+ * pool.release(drip);
  */
 class ObjectPool {
-    constructor(factoryGetter, initialSize = 100) {
-        if (typeof factoryGetter !== 'function') {
-            throw new Error('ObjectPool: factoryGetter must be a function');
+    /**
+     * @param {number} [maxIdle=100] - Idle instances kept per type (extras are left to the GC)
+     */
+    constructor(maxIdle = 100) {
+        if (typeof maxIdle !== 'number' || maxIdle < 0) {
+            throw new Error(`ObjectPool: maxIdle must be a non-negative number, got ${maxIdle}`);
         }
-        
-        this.factoryGetter = factoryGetter;
-        this.available = [];
-        this.active = [];
+
+        this.maxIdle = maxIdle;
+        this.pools = new Map();        // type → {group, create, reset, release, available, active}
+        this._typeOf = new WeakMap();  // active object → type
+        this.activeCount = 0;
         this.totalCreated = 0;
         this.peakActive = 0;
-        
-        // Pre-allocate instances
-        this._preallocate(initialSize);
+        this._leakKey = '';            // groups last reported as leaking (warn once, not every frame)
     }
 
-    _preallocate(count) {
-        console.log(`ObjectPool: Pre-allocating ${count} particles...`);
-        // Note: We can't pre-create particles yet because factory needs parameters
-        // So we just reserve space
-        this.available = new Array(count);
-        for (let i = 0; i < count; i++) {
-            this.available[i] = null;
+    /**
+     * Register a type of pooled object
+     * 
+     * @param {string} type - Type name passed to acquire()
+     * @param {Object} handlers
+     * @param {Function} handlers.create - (...args) → new instance
+     * @param {Function} [handlers.reset] - (instance, ...args) → reinitialize a reused instance
+     * @param {Function} [handlers.release] - (instance) → free what it holds (e.g. its own pooled parts)
+     * @param {string} [handlers.group] - Collection the type is counted in (default: type)
+     * @throws {Error} If the type is already defined or create is missing
+     */
+    define(type, { create, reset = () => {}, release = null, group = type }) {
+        if (this.pools.has(type)) {
+            throw new Error(`ObjectPool: type '${type}' is already defined`);
+        }
+        if (typeof create !== 'function') {
+            throw new Error(`ObjectPool: create for '${type}' must be a function`);
         }
+
+        this.pools.set(type, { group, create, reset, release, available: [], active: new Set(), created: 0 });
     }
 
-    acquire(x, y, color, type) {
-        let particle;
-        
-        // Try to reuse from pool
-        if (this.available.length > 0) {
-            particle = this.available.pop();
-            
-            // If it's null (pre-allocated slot), create new
-            if (particle === null) {
-                particle = this._createNewParticle(x, y, color, type);
-            } else {
-                // Reset existing particle (implement reset() in Particle classes)
-                if (typeof particle.reset === 'function') {
-                    // CRITICAL: Pass params as object, not separate arguments
-                    particle.reset(x, y, { color, type });
-                } else {
-                    // Fallback: create new if reset not implemented
-                    particle = this._createNewParticle(x, y, color, type);
-                }
-            }
-        } else {
-            // Pool exhausted, create new
-            particle = this._createNewParticle(x, y, color, type);
-            console.warn(`ObjectPool: Pool exhausted, created new particle (total: ${this.totalCreated})`);
-        }
-        
-        this.active.push(particle);
-        this.peakActive = Math.max(this.peakActive, this.active.length);
-        
-        return particle;
+    /**
+     * @param {string} type - Type name
+     * @returns {boolean} Whether the type has a sub-pool
+     */
+    has(type) {
+        return this.pools.has(type);
     }
 
-    release(particle) {
-        const index = this.active.indexOf(particle);
-        if (index !== -1) {
-            this.active.splice(index, 1);
-            this.available.push(particle);
-            return true;
+    /**
+     * Reuse an idle instance (reset with args) or create one
+     * 
+     * @param {string} type - Type name
+     * @param {...*} args - Passed to create / reset
+     * @returns {Object}
+     * @throws {Error} If the type is not defined
+     */
+    acquire(type, ...args) {
+        const pool = this.pools.get(type);
+        if (!pool) {
+            throw new Error(`ObjectPool: unknown type '${type}'`);
         }
-        return false;
-    }
 
-    _createNewParticle(x, y, color, type) {
-        const factory = this.factoryGetter();
-        this.totalCreated++;
-        
-        // CRITICAL: Pass bypassPool=true to prevent circular calls
-        // Pool → Factory → Pool would cause stack overflow
-        const bypassPool = true;
-        
-        switch (type) {
-            case 'second':
-                return factory.createSecondDrop(x, y, color, bypassPool);
-            case 'minute':
-                return factory.createMinuteDrop(x, y, color, bypassPool);
-            case 'hour':
-                return factory.createHourDrop(x, y, color, bypassPool);
-            case 'chime':
-                return factory.createChimeDrop(x, y, color, bypassPool);
-            default:
-                throw new Error(`ObjectPool: unknown type '${type}'`);
+        let object;
+        if (pool.available.length > 0) {
+            object = pool.available.pop();
+            pool.reset(object, ...args);
+        } else {
+            object = pool.create(...args);
+            pool.created++;
+            this.totalCreated++;
         }
+
+        pool.active.add(object);
+        this._typeOf.set(object, type);
+        this.activeCount++;
+        this.peakActive = Math.max(this.peakActive, this.activeCount);
+
+        return object;
     }
 
+    /**
+     * Return an instance to its sub-pool (releasing twice is a no-op)
+     * 
+     * @param {Object} object - Instance from acquire()
+     * @returns {boolean} False if it was not active in this pool
+     */
+    release(object) {
+        const type = this._typeOf.get(object);
+        if (type === undefined) return false;
+
+        const pool = this.pools.get(type);
+        pool.active.delete(object);
+        this._typeOf.delete(object);
+        this.activeCount--;
+
+        if (pool.release) pool.release(object);
+        if (pool.available.length < this.maxIdle) pool.available.push(object);
+        return true;
+    }
+
+    /**
+     * Release every dead instance (isDead) still marked active
+     */
     updateAndClean() {
-        for (let i = this.active.length - 1; i >= 0; i--) {
-            const particle = this.active[i];
-            
-            if (particle.isDead) {
-                this.release(particle);
-            }
-        }
+        this.pools.forEach(pool => {
+            pool.active.forEach(object => {
+                if (object.isDead) this.release(object);
+            });
+        });
     }
 
+    /**
+     * Forget every instance, active and idle (type definitions stay)
+     */
     clear() {
-        this.available = [];
-        this.active = [];
+        this.pools.forEach(pool => {
+            pool.available = [];
+            pool.active.clear();
+        });
+        this._typeOf = new WeakMap();
+        this.activeCount = 0;
     }
 
-    getStats() {
+    /**
+     * Pool statistics, with an optional leak check
+     * 
+     * @param {Object<string, number>} [expected] - Size of the app's collection per group
+     *        (e.g. {drop: activeDrops.length}); a group whose active count differs is a leak
+     * @returns {{available: number, active: number, totalCreated: number, peakActive: number,
+     *            groups: Object<string, {active: number, available: number, created: number}>,
+     *            leaks: Array<{group: string, active: number, expected: number}>}}
+     */
+    getStats(expected = null) {
+        const groups = {};
+        let available = 0;
+
+        this.pools.forEach(pool => {
+            const group = groups[pool.group] || (groups[pool.group] = { active: 0, available: 0, created: 0 });
+            group.active += pool.active.size;
+            group.available += pool.available.length;
+            group.created += pool.created;
+            available += pool.available.length;
+        });
+
+        const leaks = [];
+        if (expected) {
+            Object.keys(expected).forEach(group => {
+                const active = groups[group] ? groups[group].active : 0;
+                if (active !== expected[group]) leaks.push({ group, active, expected: expected[group] });
+            });
+
+            const leakKey = leaks.map(leak => leak.group).join(',');
+            if (leakKey && leakKey !== this._leakKey) {
+                console.warn(`ObjectPool: possible leak - active counts drifted from the app (${leaks.map(leak =>
+                    `${leak.group} ${leak.active} active vs ${leak.expected} in use`).join(', ')})`);
+            }
+            this._leakKey = leakKey;
+        }
+
         return {
-            available: this.available.length,
-            active: this.active.length,
+            available,
+            active: this.activeCount,
             totalCreated: this.totalCreated,
-            peakActive: this.peakActive
+            peakActive: this.peakActive,
+            groups,
+            leaks
         };
     }
 }
@@ -95,6 +95,21 @@ class Particle {
         this.pos.y = (this.pos.y + height) % height;
     }
 
+    /**
+     * Screen wrapping, except across the downhill edges of a tilted sheet:
+     * ink can't run back uphill onto the paper, so it stops and pools there
+     * 
+     * @param {{x: number, y: number}} tilt - Body force (Fluid.getBodyForce)
+     */
+    wrapOrPool(tilt) {
+        if (tilt.x > 0 && this.pos.x >= width) this.pos.x = width - 1;
+        if (tilt.x < 0 && this.pos.x < 0) this.pos.x = 0;
+        if (tilt.y > 0 && this.pos.y >= height) this.pos.y = height - 1;
+        if (tilt.y < 0 && this.pos.y < 0) this.pos.y = 0;
+        
+        this.wrapScreen();
+    }
+
     /**
      * Boundary constraints
      */
@@ -102,6 +117,32 @@ class Particle {
         this.pos.x = constrain(this.pos.x, 0, width);
         this.pos.y = constrain(this.pos.y, 0, height);
     }
+
+    /**
+     * Obstacle collision: push out of a drawn wall and bounce off it
+     * 
+     * @param {ObstacleMap|null} obstacles - Walls (usually fluid.obstacles)
+     * @returns {boolean} True if the particle hit a wall this frame
+     */
+    collideWithObstacles(obstacles) {
+        if (!obstacles) return false;
+        
+        const contact = obstacles.getContactAt(this.pos.x, this.pos.y);
+        if (!contact) return false;
+        
+        this.pos.x += contact.nx * (contact.depth + 0.5);
+        this.pos.y += contact.ny * (contact.depth + 0.5);
+        
+        // Reflect the velocity component heading into the wall
+        const intoWall = this.vel.x * contact.nx + this.vel.y * contact.ny;
+        if (intoWall < 0) {
+            const bounce = 1 + obstacles.restitution;
+            this.vel.x -= bounce * intoWall * contact.nx;
+            this.vel.y -= bounce * intoWall * contact.ny;
+        }
+        
+        return true;
+    }
     
     /**
      * Reset particle to initial state (for Object Pooling)
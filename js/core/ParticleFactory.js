@@ -25,6 +25,7 @@ class ParticleFactory {
      * @param {StampRenderer} dependencies.stampRenderer - Stamp renderer (shared)
      * @param {SplatterRenderer} dependencies.splatterRenderer - Splatter renderer (shared)
      * @param {ObjectPool} [dependencies.pool] - Object pool for performance (optional)
+     * @param {BudgetManager} [dependencies.budget] - Level of detail for splatter and drips (optional)
      */
     constructor(dependencies) {
         // Validate required dependencies
@@ -35,6 +36,7 @@ class ParticleFactory {
         this.colorManager = dependencies.colorManager;
         this.stampRenderer = dependencies.stampRenderer;
         this.splatterRenderer = dependencies.splatterRenderer;
+        this.budget = dependencies.budget || null;
         
         // ✨ Object pooling for performance
         this.pool = dependencies.pool || null;
@@ -45,8 +47,38 @@ class ParticleFactory {
             config: this.config,
             fluid: this.fluid,
             stampRenderer: this.stampRenderer,
-            splatterRenderer: this.splatterRenderer
+            splatterRenderer: this.splatterRenderer,
+            budget: this.budget,
+            factory: this // drops create their drips through the factory (and its pool)
         };
+        
+        if (this.usePool) this._definePoolTypes();
+    }
+
+    /**
+     * One sub-pool per drop type (counted together as 'drop'), plus drips and cymatics
+     * Drops hand their splatter particles back to the pool when released.
+     * @private
+     */
+    _definePoolTypes() {
+        const deps = this._particleDeps;
+        
+        ['second', 'minute', 'hour', 'chime', 'event'].forEach(type => {
+            this.pool.define(type, {
+                group: 'drop',
+                create: (x, y, color) => new InkDrop(x, y, color, type, deps),
+                reset: (drop, x, y, color) => drop.reset(x, y, { color, type }),
+                release: drop => drop.releaseSplatter()
+            });
+        });
+        this.pool.define('drip', {
+            create: (x, y, color, parentSize) => new InkDrip(x, y, color, parentSize, deps),
+            reset: (drip, x, y, color, parentSize) => drip.reset(x, y, { color, parentSize })
+        });
+        this.pool.define('cymatic', {
+            create: (x, y, minute, profile) => new CymaticPattern(x, y, minute, profile, this.config),
+            reset: (pattern, x, y, minute, profile) => pattern.reset(x, y, minute, profile)
+        });
     }
 
     /**
@@ -75,7 +107,7 @@ class ParticleFactory {
      * @param {number} x - X position
      * @param {number} y - Y position
      * @param {p5.Color} color - Drop color
-     * @param {boolean} [bypassPool=false] - Internal flag to prevent circular calls
+     * @param {boolean} [bypassPool=false] - Create a fresh, unpooled instance
      * @returns {InkDrop}
      */
     createSecondDrop(x, y, color, bypassPool = false) {
@@ -84,7 +116,7 @@ class ParticleFactory {
         
         // ✨ Use pool if available (but not if called from pool itself)
         if (this.usePool && !bypassPool) {
-            return this.pool.acquire(x, y, color, 'second');
+            return this.pool.acquire('second', x, y, color);
         }
         
         return new InkDrop(x, y, color, 'second', this._particleDeps);
@@ -97,7 +129,7 @@ class ParticleFactory {
      * @param {number} x - X position
      * @param {number} y - Y position
      * @param {p5.Color} color - Drop color
-     * @param {boolean} [bypassPool=false] - Internal flag to prevent circular calls
+     * @param {boolean} [bypassPool=false] - Create a fresh, unpooled instance
      * @returns {InkDrop}
      */
     createMinuteDrop(x, y, color, bypassPool = false) {
@@ -106,7 +138,7 @@ class ParticleFactory {
         
         // ✨ Use pool if available (but not if called from pool itself)
         if (this.usePool && !bypassPool) {
-            return this.pool.acquire(x, y, color, 'minute');
+            return this.pool.acquire('minute', x, y, color);
         }
         
         return new InkDrop(x, y, color, 'minute', this._particleDeps);
@@ -119,7 +151,7 @@ class ParticleFactory {
      * @param {number} x - X position
      * @param {number} y - Y position
      * @param {p5.Color} color - Drop color
-     * @param {boolean} [bypassPool=false] - Internal flag to prevent circular calls
+     * @param {boolean} [bypassPool=false] - Create a fresh, unpooled instance
      * @returns {InkDrop}
      */
     createHourDrop(x, y, color, bypassPool = false) {
@@ -128,7 +160,7 @@ class ParticleFactory {
         
         // ✨ Use pool if available (but not if called from pool itself)
         if (this.usePool && !bypassPool) {
-            return this.pool.acquire(x, y, color, 'hour');
+            return this.pool.acquire('hour', x, y, color);
         }
         
         return new InkDrop(x, y, color, 'hour', this._particleDeps);
@@ -141,7 +173,7 @@ class ParticleFactory {
      * @param {number} x - X position
      * @param {number} y - Y position
      * @param {p5.Color} color - Drop color
-     * @param {boolean} [bypassPool=false] - Internal flag to prevent circular calls
+     * @param {boolean} [bypassPool=false] - Create a fresh, unpooled instance
      * @returns {InkDrop}
      */
     createChimeDrop(x, y, color, bypassPool = false) {
@@ -150,21 +182,45 @@ class ParticleFactory {
         
         // ✨ Use pool if available (but not if called from pool itself)
         if (this.usePool && !bypassPool) {
-            return this.pool.acquire(x, y, color, 'chime');
+            return this.pool.acquire('chime', x, y, color);
         }
         
         return new InkDrop(x, y, color, 'chime', this._particleDeps);
     }
 
+    /**
+     * Create a calendar event drop (imported meeting start/end)
+     * Uses object pooling if available for performance
+     * 
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {p5.Color} color - Drop color
+     * @param {boolean} [bypassPool=false] - Create a fresh, unpooled instance
+     * @returns {InkDrop}
+     */
+    createEventDrop(x, y, color, bypassPool = false) {
+        this._validatePosition(x, y);
+        this._validateColor(color);
+        
+        if (this.usePool && !bypassPool) {
+            return this.pool.acquire('event', x, y, color);
+        }
+        
+        return new InkDrop(x, y, color, 'event', this._particleDeps);
+    }
+
     /**
      * Create an ink drip (trailing from larger drops)
+     * Uses object pooling if available for performance
+     * 
      * @param {number} x - X position
      * @param {number} y - Y position
      * @param {p5.Color} color - Drop color
      * @param {number} parentSize - Parent drop size
+     * @param {boolean} [bypassPool=false] - Create a fresh, unpooled instance
      * @returns {InkDrip}
      */
-    createDrip(x, y, color, parentSize) {
+    createDrip(x, y, color, parentSize, bypassPool = false) {
         this._validatePosition(x, y);
         this._validateColor(color);
         
@@ -172,9 +228,33 @@ class ParticleFactory {
             throw new Error(`ParticleFactory: parentSize must be positive number, got ${parentSize}`);
         }
         
+        if (this.usePool && !bypassPool) {
+            return this.pool.acquire('drip', x, y, color, parentSize);
+        }
+        
         return new InkDrip(x, y, color, parentSize, this._particleDeps);
     }
 
+    /**
+     * Create a Cymatics pattern (visual sound wave of a chime)
+     * Uses object pooling if available for performance
+     * 
+     * @param {number} x - Center X position
+     * @param {number} y - Center Y position
+     * @param {number} minute - Current minute (0-59)
+     * @param {Object} profile - Chime level profile ({level, rings})
+     * @returns {CymaticPattern}
+     */
+    createCymaticPattern(x, y, minute, profile = {}) {
+        this._validatePosition(x, y);
+        
+        if (this.usePool) {
+            return this.pool.acquire('cymatic', x, y, minute, profile);
+        }
+        
+        return new CymaticPattern(x, y, minute, profile, this.config);
+    }
+
     /**
      * Create sun drop (special particle, never dies)
      * @param {Object} sunConfig - Sun configuration
@@ -207,6 +287,7 @@ class ParticleFactory {
                 case 'minute': return this.createMinuteDrop(x, y, color);
                 case 'hour': return this.createHourDrop(x, y, color);
                 case 'chime': return this.createChimeDrop(x, y, color);
+                case 'event': return this.createEventDrop(x, y, color);
                 default:
                     throw new Error(`ParticleFactory: unknown type '${type}'`);
             }
@@ -232,6 +313,7 @@ class ParticleFactory {
             case 'minute': return this.createMinuteDrop(x, y, color);
             case 'hour': return this.createHourDrop(x, y, color);
             case 'chime': return this.createChimeDrop(x, y, color);
+            case 'event': return this.createEventDrop(x, y, color);
             default:
                 throw new Error(`ParticleFactory: unknown type '${type}'`);
         }
@@ -366,6 +448,7 @@ class DropBuilder {
             case 'minute': return this.factory.createMinuteDrop(this.x, this.y, this.color);
             case 'hour': return this.factory.createHourDrop(this.x, this.y, this.color);
             case 'chime': return this.factory.createChimeDrop(this.x, this.y, this.color);
+            case 'event': return this.factory.createEventDrop(this.x, this.y, this.color);
             default:
                 throw new Error(`DropBuilder: unknown type '${this.type}'`);
         }
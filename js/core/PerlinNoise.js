@@ -0,0 +1,119 @@
+/**
+ * PerlinNoise.js - p5.js-compatible Perlin noise over a shareable table
+ *
+ * A port of p5.js noise() (4 octaves, 0.5 falloff, mirrored at 0). Unlike p5's,
+ * its permutation table is plain data: the main thread and FluidWorker.js build
+ * instances from the same table, so both compute the same drift and the current
+ * never jumps when one takes over from the other.
+ *
+ * Loaded by index.html and, in the worker, by importScripts().
+ *
+ * @example
+ * const driftNoise = new PerlinNoise();               // random table
+ * worker.postMessage({ perlin: driftNoise.table });   // copied to the worker
+ * const same = new PerlinNoise(message.perlin);       // worker side
+ */
+class PerlinNoise {
+    /**
+     * @param {Float32Array} [table] - Permutation table of SIZE + 1 values in [0, 1) (default: random)
+     */
+    constructor(table = null) {
+        if (table && table.length !== PerlinNoise.SIZE + 1) {
+            throw new Error(`PerlinNoise: table must have ${PerlinNoise.SIZE + 1} values, got ${table.length}`);
+        }
+
+        this.table = table ? Float32Array.from(table) : PerlinNoise.randomTable();
+    }
+
+    /**
+     * @returns {Float32Array} A fresh random permutation table
+     */
+    static randomTable() {
+        const table = new Float32Array(PerlinNoise.SIZE + 1);
+        for (let i = 0; i < table.length; i++) {
+            table[i] = Math.random();
+        }
+        return table;
+    }
+
+    /**
+     * Noise at a point, like p5's noise(x, y, z)
+     *
+     * @param {number} x
+     * @param {number} [y=0]
+     * @param {number} [z=0]
+     * @returns {number} 0-1
+     */
+    noise(x, y = 0, z = 0) {
+        const perlin = this.table;
+        const size = PerlinNoise.SIZE;
+
+        x = Math.abs(x);
+        y = Math.abs(y);
+        z = Math.abs(z);
+
+        let xi = Math.floor(x);
+        let yi = Math.floor(y);
+        let zi = Math.floor(z);
+        let xf = x - xi;
+        let yf = y - yi;
+        let zf = z - zi;
+
+        let r = 0;
+        let ampl = 0.5;
+
+        for (let o = 0; o < PerlinNoise.OCTAVES; o++) {
+            let of = xi + (yi << PerlinNoise.YWRAPB) + (zi << PerlinNoise.ZWRAPB);
+
+            const rxf = PerlinNoise._scaledCosine(xf);
+            const ryf = PerlinNoise._scaledCosine(yf);
+
+            let n1 = perlin[of & size];
+            n1 += rxf * (perlin[(of + 1) & size] - n1);
+            let n2 = perlin[(of + PerlinNoise.YWRAP) & size];
+            n2 += rxf * (perlin[(of + PerlinNoise.YWRAP + 1) & size] - n2);
+            n1 += ryf * (n2 - n1);
+
+            of += PerlinNoise.ZWRAP;
+            n2 = perlin[of & size];
+            n2 += rxf * (perlin[(of + 1) & size] - n2);
+            let n3 = perlin[(of + PerlinNoise.YWRAP) & size];
+            n3 += rxf * (perlin[(of + PerlinNoise.YWRAP + 1) & size] - n3);
+            n2 += ryf * (n3 - n2);
+
+            n1 += PerlinNoise._scaledCosine(zf) * (n2 - n1);
+
+            r += n1 * ampl;
+            ampl *= PerlinNoise.AMP_FALLOFF;
+            xi <<= 1;
+            xf *= 2;
+            yi <<= 1;
+            yf *= 2;
+            zi <<= 1;
+            zf *= 2;
+
+            if (xf >= 1.0) { xi++; xf--; }
+            if (yf >= 1.0) { yi++; yf--; }
+            if (zf >= 1.0) { zi++; zf--; }
+        }
+
+        return r;
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * @private
+     */
+    static _scaledCosine(i) {
+        return 0.5 * (1.0 - Math.cos(i * Math.PI));
+    }
+}
+
+PerlinNoise.YWRAPB = 4;
+PerlinNoise.YWRAP = 1 << PerlinNoise.YWRAPB;
+PerlinNoise.ZWRAPB = 8;
+PerlinNoise.ZWRAP = 1 << PerlinNoise.ZWRAPB;
+PerlinNoise.SIZE = 4095;
+PerlinNoise.OCTAVES = 4;
+PerlinNoise.AMP_FALLOFF = 0.5;
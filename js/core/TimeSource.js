@@ -0,0 +1,178 @@
+/**
+ * TimeSource.js - Pluggable time sources for Clock
+ *
+ * Strategy Pattern: Clock asks a TimeSource "what time is it?" instead of
+ * reading Date.now() directly. Swapping the source changes how time flows
+ * without touching event emission.
+ *
+ * Implementations:
+ * - RealTimeSource: wall clock (Unix epoch ms), shown in the configured time zone
+ * - SimulatedTimeSource: starts at 00:00:00, runs at CONFIG.time.speedMultiplier
+ * - VirtualTimeSource: frozen until advance(ms)/step() - deterministic tests and demos
+ *
+ * Contract:
+ * - now(): current time in ms. Wall-clock sources (isWallClock = true) return
+ *   Unix epoch ms; the others return ms since their own 00:00:00.
+ * - wallNow(): ms used to measure update gaps (tab throttling, catch-up)
+ *
+ * @example
+ * const source = new VirtualTimeSource({ stepMs: 1000 });
+ * const clock = new Clock(CONFIG, source);
+ * source.advance(15 * 60 * 1000);
+ * clock.update(); // emits minute 15 + chime
+ */
+class TimeSource {
+    constructor() {
+        this.isWallClock = false;
+    }
+
+    /**
+     * @abstract
+     * @returns {number} Current time in ms
+     */
+    now() {
+        throw new Error('now() must be implemented by subclass');
+    }
+
+    /**
+     * @returns {number} Monotonic-ish ms for measuring gaps between updates
+     */
+    wallNow() {
+        return Date.now();
+    }
+
+    /**
+     * Create the source described by CONFIG.time
+     *
+     * @param {Object} timeConfig - CONFIG.time
+     * @returns {TimeSource}
+     */
+    static fromConfig(timeConfig = {}) {
+        const source = timeConfig.source || (timeConfig.useRealTime === false ? 'simulated' : 'real');
+
+        switch (source) {
+            case 'real':
+                return new RealTimeSource();
+            case 'simulated':
+                return new SimulatedTimeSource({ speedMultiplier: timeConfig.speedMultiplier });
+            case 'virtual':
+                return new VirtualTimeSource();
+            default:
+                throw new Error(`TimeSource: unknown source '${source}'`);
+        }
+    }
+}
+
+/**
+ * Wall clock time
+ */
+class RealTimeSource extends TimeSource {
+    constructor() {
+        super();
+        this.isWallClock = true;
+    }
+
+    now() {
+        return Date.now();
+    }
+}
+
+/**
+ * Demo time: 00:00:00 at creation, optionally accelerated
+ */
+class SimulatedTimeSource extends TimeSource {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.speedMultiplier=1] - 1 = real speed, 60 = one minute per second
+     * @param {number} [options.startMs=0] - Initial time (ms since 00:00:00)
+     */
+    constructor(options = {}) {
+        super();
+        this.speedMultiplier = options.speedMultiplier || 1;
+        this.originMs = options.startMs || 0;
+        this.originWallMs = Date.now();
+    }
+
+    now() {
+        return this.originMs + (Date.now() - this.originWallMs) * this.speedMultiplier;
+    }
+
+    /**
+     * Jump to a given time
+     * @param {number} ms - ms since 00:00:00
+     */
+    setTime(ms) {
+        this.originMs = ms;
+        this.originWallMs = Date.now();
+    }
+
+    /**
+     * Change speed without jumping the current time
+     * @param {number} multiplier - Positive speed factor
+     */
+    setSpeedMultiplier(multiplier) {
+        if (typeof multiplier !== 'number' || !(multiplier > 0)) {
+            throw new Error(`SimulatedTimeSource: speedMultiplier must be a positive number, got ${multiplier}`);
+        }
+
+        this.setTime(this.now());
+        this.speedMultiplier = multiplier;
+    }
+}
+
+/**
+ * Manually driven time - nothing moves until advance() or step() is called
+ */
+class VirtualTimeSource extends TimeSource {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.startMs=0] - Initial time (ms since 00:00:00)
+     * @param {number} [options.stepMs=1000] - Increment used by step()
+     */
+    constructor(options = {}) {
+        super();
+        this.currentMs = options.startMs || 0;
+        this.stepMs = options.stepMs || 1000;
+    }
+
+    now() {
+        return this.currentMs;
+    }
+
+    /**
+     * Virtual time is also the gap reference, so a large advance() looks like
+     * a backgrounded tab and exercises the catch-up path
+     */
+    wallNow() {
+        return this.currentMs;
+    }
+
+    /**
+     * @param {number} ms - Milliseconds to move forward (must be >= 0)
+     * @returns {number} New time
+     */
+    advance(ms) {
+        if (typeof ms !== 'number' || !(ms >= 0)) {
+            throw new Error(`VirtualTimeSource: advance() needs a non-negative number, got ${ms}`);
+        }
+
+        this.currentMs += ms;
+        return this.currentMs;
+    }
+
+    /**
+     * Advance by stepMs (or a number of steps)
+     * @param {number} [count=1]
+     * @returns {number} New time
+     */
+    step(count = 1) {
+        return this.advance(this.stepMs * count);
+    }
+
+    /**
+     * @param {number} ms - ms since 00:00:00
+     */
+    setTime(ms) {
+        this.currentMs = ms;
+    }
+}
@@ -3,9 +3,16 @@
  * 
  * Strategy Pattern: Encapsulates splatter particle rendering
  * Distance-based sizing with velocity influence
+ * 
+ * With an ObjectPool, splatter particles are pooled ('splatter' type):
+ * whoever holds them hands them back with releaseSplatter().
  */
 class SplatterRenderer {
-    constructor(config = {}) {
+    /**
+     * @param {Object} config - Splatter settings (CONFIG.drops.splatter)
+     * @param {ObjectPool} [pool] - Pool for splatter particles (null = plain objects)
+     */
+    constructor(config = {}, pool = null) {
         this.config = {
             particleCount: config.particleCount || 25,
             velocityInfluence: config.velocityInfluence || 0.3,
@@ -15,15 +22,22 @@ class SplatterRenderer {
             baseAlpha: config.baseAlpha || 180,
             ...config
         };
+
+        this.pool = pool;
+        if (this.pool) {
+            this.pool.define('splatter', { create: () => this._createParticle() });
+        }
     }
 
     /**
      * Generate splatter particles for a drop
+     * @param {number} [countScale=1] - Share of particleCount to generate (level of detail)
      */
-    generateSplatter(x, y, size, velocity) {
+    generateSplatter(x, y, size, velocity, countScale = 1) {
         const particles = [];
+        const count = Math.round(this.config.particleCount * countScale);
 
-        for (let i = 0; i < this.config.particleCount; i++) {
+        for (let i = 0; i < count; i++) {
             const angle = random(TWO_PI);
             const distance = randomGaussian(size * 1.5, size * 0.5);
 
@@ -32,26 +46,38 @@ class SplatterRenderer {
                 .mult(this.config.velocityInfluence);
             const biasedVel = p5.Vector.add(velocity, velocityBias);
 
-            particles.push({
-                offset: createVector(cos(angle) * distance, sin(angle) * distance),
-                size: random(
-                    size * this.config.minSize,
-                    size * this.config.maxSize
-                ),
-                alpha: map(
-                    distance,
-                    0,
-                    size * 3,
-                    this.config.baseAlpha,
-                    this.config.baseAlpha * 0.3
-                ),
-                velocity: biasedVel.copy()
-            });
+            const particle = this.pool ? this.pool.acquire('splatter') : this._createParticle();
+            particle.offset.set(cos(angle) * distance, sin(angle) * distance);
+            particle.size = random(
+                size * this.config.minSize,
+                size * this.config.maxSize
+            );
+            particle.alpha = map(
+                distance,
+                0,
+                size * 3,
+                this.config.baseAlpha,
+                this.config.baseAlpha * 0.3
+            );
+            particle.velocity.set(biasedVel.x, biasedVel.y);
+            particles.push(particle);
         }
 
         return particles;
     }
 
+    /**
+     * Hand splatter particles back to the pool (no-op without one)
+     * @param {Array<Object>} particles - From generateSplatter()
+     */
+    releaseSplatter(particles) {
+        if (!this.pool || !particles) return;
+
+        for (const particle of particles) {
+            this.pool.release(particle);
+        }
+    }
+
     /**
      * Render active splatter particles
      */
@@ -86,4 +112,16 @@ class SplatterRenderer {
             particle.velocity.mult(0.95); // Friction
         }
     }
+
+    /**
+     * Private: Blank splatter particle (fields set by generateSplatter)
+     */
+    _createParticle() {
+        return {
+            offset: createVector(0, 0),
+            size: 0,
+            alpha: 0,
+            velocity: createVector(0, 0)
+        };
+    }
 }
@@ -3,9 +3,23 @@
  * 
  * Strategy Pattern: Encapsulates rendering algorithm
  * Implements Oriental brush stamp effect with fiber texture
+ * 
+ * Stains mix with the pigment already on the layer through ColorManager
+ * (CONFIG.colors.mixingModel); without a ColorManager they MULTIPLY as before.
+ * 
+ * With a Paper, stains spread by the local absorbency and sizing, stretch along
+ * the fibers and feather out along them at the rim; without one the stamp is
+ * round with radial fibers as before.
  */
 class StampRenderer {
-    constructor(config = {}) {
+    /**
+     * @param {Object} config - Stamp settings (CONFIG.drops.stamp)
+     * @param {ColorManager} [colorManager] - Pigment mixing (null = RGB multiply)
+     * @param {Paper} [paper] - Paper the stains soak into (null = legacy round stamp)
+     */
+    constructor(config = {}, colorManager = null, paper = null) {
+        this.colorManager = colorManager;
+        this.paper = paper;
         this.config = {
             layers: config.layers || 8,
             maxRadius: config.maxRadius || 1.4,  // 1.2 → 1.4 (wider spread)
@@ -14,6 +28,7 @@ class StampRenderer {
             minOpacity: config.minOpacity || 90,  // 70 → 90 (stronger)
             fibers: config.fibers || 50,          // 40 → 50 (more texture)
             fiberLength: config.fiberLength || 0.4, // 0.3 → 0.4 (longer fibers)
+            mixCoverage: config.mixCoverage || 0.04, // pigment below this coverage (0-1) is ignored
             ...config
         };
     }
@@ -23,9 +38,13 @@ class StampRenderer {
      * @param {number} fadeInAlpha - Optional fade-in multiplier (0-1) for gradual appearance
      */
     renderStamp(layer, x, y, size, color, angle = 0, fadeInAlpha = 1.0) {
+        const fiber = this.paper ? this.paper.sampleAt(x, y) : null;
+        const spread = fiber ? this.paper.getSpread(fiber) : 1;
+        const stretch = fiber ? this.paper.getStretch(fiber) : 1;
+
         layer.push();
         layer.translate(x, y);
-        layer.rotate(angle);
+        layer.rotate(fiber ? fiber.angle : angle); // local x axis runs along the fibers
         layer.noStroke();
 
         // Multi-layer gradient for depth
@@ -43,15 +62,77 @@ class StampRenderer {
             ) * fadeInAlpha; // Apply fade-in multiplier
 
             layer.fill(red(color), green(color), blue(color), opacity);
-            layer.ellipse(0, 0, radius, radius);
+            layer.ellipse(0, 0, radius * spread * stretch, radius * spread / stretch);
         }
 
-        // Radial fiber texture
-        this._drawFibers(layer, size, color, fadeInAlpha);
+        if (fiber) {
+            // Capillary bleeding along the paper fibers
+            this._drawFeathering(layer, size * spread, stretch, color, fadeInAlpha, fiber);
+        } else {
+            // Radial fiber texture
+            this._drawFibers(layer, size, color, fadeInAlpha);
+        }
 
         layer.pop();
     }
 
+    /**
+     * How much larger a stain at this point spreads than on plain paper
+     * (for stains drawn without renderStamp, e.g. drips)
+     * @returns {number} Size multiplier (1 without a Paper)
+     */
+    getStainSpread(x, y) {
+        return this.paper ? this.paper.getSpread(this.paper.sampleAt(x, y)) : 1;
+    }
+
+    /**
+     * Blend mode for stains on the history layer: MULTIPLY for the legacy RGB
+     * model, normal blending when the color was already mixed (mixWithUnderlying)
+     */
+    getStainBlendMode() {
+        return this.colorManager && this.colorManager.mixesPigments() ? BLEND : MULTIPLY;
+    }
+
+    /**
+     * Stain color after mixing with the pigment already under it
+     * Samples the layer at the center and four points around it; the more
+     * pigment is there, the larger its share in the mix.
+     * 
+     * @param {p5.Graphics} layer - Layer the stain goes on
+     * @param {number} x - Stain center
+     * @param {number} y - Stain center
+     * @param {number} size - Stain diameter
+     * @param {p5.Color} stainColor - Pigment of the new stain
+     * @returns {p5.Color} Color to draw the stain with
+     */
+    mixWithUnderlying(layer, x, y, size, stainColor) {
+        if (!this.colorManager || !this.colorManager.mixesPigments()) return stainColor;
+
+        const offset = size * 0.25;
+        const points = [[0, 0], [-offset, 0], [offset, 0], [0, -offset], [0, offset]];
+        const under = { r: 0, g: 0, b: 0 };
+        let weight = 0;
+
+        points.forEach(([dx, dy]) => {
+            const [r, g, b, a] = layer.get(Math.round(x + dx), Math.round(y + dy));
+            under.r += r * a;
+            under.g += g * a;
+            under.b += b * a;
+            weight += a;
+        });
+
+        const coverage = weight / (points.length * 255);
+        if (coverage < this.config.mixCoverage) return stainColor;
+
+        // Fully covered paper: half and half; lightly stained: mostly the new ink
+        const mixed = this.colorManager.mixPigments(
+            { r: under.r / weight, g: under.g / weight, b: under.b / weight },
+            { r: red(stainColor), g: green(stainColor), b: blue(stainColor) },
+            1 - coverage * 0.5
+        );
+        return color(mixed.r, mixed.g, mixed.b);
+    }
+
     /**
      * Private: Draw radial fiber texture
      */
@@ -78,6 +159,35 @@ class StampRenderer {
         layer.pop();
     }
 
+    /**
+     * Private: Draw feathering - strokes that start at the rim and wick outward
+     * along the fibers (local x axis), longer on absorbent, unsized paper
+     */
+    _drawFeathering(layer, size, stretch, color, fadeInAlpha, fiber) {
+        const preset = this.paper.preset;
+        const count = Math.round(this.config.fibers * preset.feathering * (0.5 + fiber.absorbency));
+        const reach = size * this.config.fiberLength * (0.5 + fiber.absorbency) * (1 - 0.5 * fiber.sizing);
+
+        layer.push();
+        layer.strokeWeight(0.5);
+
+        for (let i = 0; i < count; i++) {
+            const around = random(TWO_PI);
+            const distance = random(size * 0.3, size * 0.5);
+            const x1 = cos(around) * distance * stretch;
+            const y1 = sin(around) * distance / stretch;
+            // Out along the fiber on whichever side of the stain the rim point is
+            const direction = (x1 >= 0 ? 0 : PI) + random(-0.3, 0.3);
+            const length = random(reach);
+            const opacity = random(30, 80) * fadeInAlpha;
+
+            layer.stroke(red(color), green(color), blue(color), opacity);
+            layer.line(x1, y1, x1 + cos(direction) * length, y1 + sin(direction) * length);
+        }
+
+        layer.pop();
+    }
+
     /**
      * Render motion trail on trail layer
      */
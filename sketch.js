@@ -69,6 +69,39 @@ function keyPressed() {
     }
 }
 
+/**
+ * Time scrubbing - modifier + horizontal drag (CONFIG.interaction.scrubbing)
+ */
+function mousePressed() {
+    try {
+        if (app) {
+            app.handleMousePressed();
+        }
+    } catch (error) {
+        console.error('✗ Mouse press error:', error);
+    }
+}
+
+function mouseDragged() {
+    try {
+        if (app) {
+            app.handleMouseDragged();
+        }
+    } catch (error) {
+        console.error('✗ Mouse drag error:', error);
+    }
+}
+
+function mouseReleased() {
+    try {
+        if (app) {
+            app.handleMouseReleased();
+        }
+    } catch (error) {
+        console.error('✗ Mouse release error:', error);
+    }
+}
+
 /**
  * Mouse interaction - Apply force to fluid based on mouse movement
  * 
@@ -148,7 +181,10 @@ function mouseMoved() {
  * @property {Array<InkDrop>} activeDrops - Active ink drops
  * @property {Array<InkDrip>} activeDrips - Active drips
  * @property {SunDrop} sunDrop - Sun drop (objective time marker)
+ * @property {Array<{sunDrop: SunDrop, timeZone: string}>} zoneSuns - Extra suns, one lane per time zone
  * @property {Array<CymaticPattern>} cymaticPatterns - Active cymatics patterns
+ * @property {boolean} showDayMosaic - Day mosaic overlay (24 archived hours)
+ * @property {Object|null} scrub - Active time scrub ({offsetSeconds, accumulator, action})
  */
 class Application {
     constructor(container) {
@@ -160,10 +196,16 @@ class Application {
         this.isZenMode = false;          // z key: hide time display for pure observation
         this.isDebugMode = false;        // d key: show performance metrics
         this.showKeyboardHelp = false;   // ? key: show keyboard shortcuts
+        this.showDayMosaic = false;      // m key: review the day's archived hours
+        
+        // Real-sun palette
+        this.solarPhase = null;          // 'night' | 'dawn' | 'day' | 'dusk'
+        this.paperTintKey = null;        // last background tint painted into bg layer
         
         // Graphics layers
         this.layers = {
             bg: null,
+            dye: null,       // Soft wash of pigment carried by the fluid
             trail: null,
             history: null,
             fx: null,        // ✨ Effects layer for Cymatics
@@ -174,7 +216,9 @@ class Application {
         this.activeDrops = [];
         this.activeDrips = [];
         this.sunDrop = null;
+        this.zoneSuns = [];        // CONFIG.sun.zones
         this.cymaticPatterns = []; // ✨ Cymatics patterns
+        this.mergeCount = 0;       // drops merged this hour (debug overlay)
         
         // Performance monitoring
         this.frameRateHistory = [];
@@ -190,6 +234,16 @@ class Application {
         
         // ✨ Chime markers (permanent visual indicators)
         this.chimeMarkers = []; // Array of {minute, hour, x, y} for each chime event
+        
+        // Calendar import (.ics)
+        this.calendarInput = null;
+        this.eventDropPositions = {}; // occurrence uid → {x, y} of its opening drop
+        
+        // Time scrubbing (modifier + drag)
+        this.scrub = null; // {offsetSeconds, accumulator, action} while dragging
+        
+        // Obstacle drawing (modifier + drag)
+        this.isDrawingObstacle = false;
     }
 
     /**
@@ -206,6 +260,7 @@ class Application {
         
         // Initialize graphics layers
         this.layers.bg = createGraphics(width, height);
+        this.layers.dye = createGraphics(width, height);
         this.layers.trail = createGraphics(width, height);
         this.layers.history = createGraphics(width, height);
         this.layers.fx = createGraphics(width, height); // ✨ Effects layer
@@ -215,11 +270,59 @@ class Application {
         this.layers.fx.clear();
         this._initializeBackgroundLayer();
         
-        // Create sun drop
+        // Create sun drops (main + one per configured time zone)
         this.sunDrop = factory.createSunDrop(CONFIG.sun, width);
+        this.zoneSuns = this._createZoneSuns(factory, clock);
+        fluid.setSunDrops([this.sunDrop, ...this.zoneSuns.map(zone => zone.sunDrop)]);
+        
+        // Walls sculpted in earlier sessions (restored from localStorage)
+        fluid.setObstacles(this.container.get('obstacles'));
+        
+        // The hour in progress, if the page was closed or reloaded during it
+        this._restoreSession(clock, fluid);
         
         // Setup event listeners
         this._setupEventListeners(clock, factory);
+        this._setupCalendarImport();
+    }
+
+    /**
+     * One labeled sun per CONFIG.sun.zones entry, each in its own lane below the main sun
+     * PHILOSOPHY: A distributed team shares one hour-hand of ink, but each city has its own sky
+     * 
+     * @returns {Array<{sunDrop: SunDrop, timeZone: string}>}
+     */
+    _createZoneSuns(factory, clock) {
+        const zones = CONFIG.sun.zones || [];
+        const zoneSuns = [];
+        
+        zones.forEach((zone, i) => {
+            try {
+                clock.getTimeInZone(zone.timeZone); // validate before creating a lane
+                
+                const sunConfig = {
+                    ...CONFIG.sun,
+                    yPosition: CONFIG.sun.yPosition + (zoneSuns.length + 1) * CONFIG.sun.laneSpacing,
+                    color: zone.color || CONFIG.sun.color,
+                    label: zone.label || zone.timeZone,
+                    eventMarkers: { enabled: false } // calendar follows the main clock
+                };
+                zoneSuns.push({ sunDrop: factory.createSunDrop(sunConfig, width), timeZone: zone.timeZone });
+            } catch (error) {
+                console.warn(`Skipping sun for zone #${i} (${zone.timeZone}): ${error.message}`);
+            }
+        });
+        
+        return zoneSuns;
+    }
+
+    _updateZoneSuns(clock) {
+        this.zoneSuns.forEach(zone => {
+            const { minute, hour } = clock.getTimeInZone(zone.timeZone);
+            zone.sunDrop.update(minute);
+            // Zen Mode hides numbers here too - the lane position alone tells the time
+            zone.sunDrop.setTimeText(this.isZenMode ? null : `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`);
+        });
     }
 
     _setupEventListeners(clock, factory) {
@@ -237,14 +340,48 @@ class Application {
         
         clock.on('hourComplete', (data) => {
             if (!this.isPaused) {
-                console.log(`Hour ${data.completedHour} complete. Resetting canvas for hour ${data.newHour}.`);
+                const skipped = data.skippedHours > 1 ? ` (${data.skippedHours} hours passed in background)` : '';
+                console.log(`Hour ${data.completedHour} complete. Resetting canvas for hour ${data.newHour}.${skipped}`);
+                this._archiveHour(data.completedHour, data.completedDay);
                 this._resetCanvasForNewHour();
             }
         });
         
+        clock.on('dayComplete', (data) => {
+            const archive = this.container.get('hourArchive');
+            const label = data.completedDate || `day ${data.completedDay}`;
+            console.log(`🗓 Day complete (${label}): ${archive.getArchivedCount(data.completedDay)} hours archived. Press M to review.`);
+        });
+        
         clock.on('chime', (data) => {
             if (!this.isPaused) this._createChimeDrop(data, factory);
         });
+        
+        // Catch-up after the tab was backgrounded
+        clock.on('catchUp', (data) => {
+            if (this.isPaused) return;
+            console.log(`⏩ Catching up ${data.toSeconds - data.fromSeconds}s of missed time (${data.mode})`);
+            if (data.mode === 'summary') this._createCatchUpSummary(data);
+        });
+        
+        // Imported calendar events
+        clock.on('event-start', (data) => {
+            if (!this.isPaused) this._createEventDrop(data, factory, false);
+        });
+        
+        clock.on('event-end', (data) => {
+            if (!this.isPaused) this._createEventDrop(data, factory, true);
+        });
+        
+        // Browsers throttle draw() in hidden tabs; let the clock know so it can catch up
+        document.addEventListener('visibilitychange', () => {
+            clock.setHidden(document.hidden);
+        });
+        
+        // Keep the hour in progress when the page is closed or reloaded
+        if (CONFIG.session.saveOnExit) {
+            window.addEventListener('pagehide', () => this._saveSession());
+        }
     }
 
     /**
@@ -275,11 +412,13 @@ class Application {
             
             // PHILOSOPHY: Turbulence modulates all systems
             // Distraction doesn't speed time, but creates more traces
-            colorManager.update(this.turbulenceLevel);
+            colorManager.update(this.turbulenceLevel, clock.getEpochMs());
+            this._updateSolarPalette(colorManager);
             audio.updateTurbulence(this.turbulenceLevel);
             fluid.updateViscosity(this.turbulenceLevel);
             fluid.update();
-            this.sunDrop.update(minute());
+            this.sunDrop.update(clock.getCurrentMinute());
+            this._updateZoneSuns(clock);
         }
         
         // SONIFICATION: Map SunDrop position to audio (hear time without looking)
@@ -289,55 +428,65 @@ class Application {
         // Update Cymatics patterns
         this._updateCymaticPatterns();
         
+        // Upcoming calendar events along the sun's lane
+        this.sunDrop.setEventMarkers(clock.getCalendarEventsForCurrentHour());
+        
         // Rendering
         this._fadeTrailLayer();
         this.sunDrop.stampTrail(this.layers.trail, this.turbulenceLevel);
+        this.zoneSuns.forEach(zone => zone.sunDrop.stampTrail(this.layers.trail, this.turbulenceLevel));
         this._updateAndRenderDrops(fluid);
         this._renderCymaticPatterns(); // ✨ Render Cymatics
         this.sunDrop.render(this.layers.active);
+        this.zoneSuns.forEach(zone => zone.sunDrop.render(this.layers.active));
         this._renderLayers();
+        if (!this.showDayMosaic) this.container.get('flowVisualizer').render(); // ✨ Flow overlay (V)
+        if (this.showDayMosaic) this._renderDayMosaic(clock); // ✨ Whole-day review
         
         // Audio and UI
         const inkDensity = this._calculateInkDensity();
         audio.update(inkDensity);
         this._renderOnboarding(); // ✨ Onboarding UX cue
         this._renderKeyboardHelp(); // ✨ Keyboard shortcuts help
-        this._renderTimeProgressMarker(clock); // ✨ Time progress indicator
+        if (!this.showDayMosaic) this._renderTimeProgressMarker(clock); // ✨ Time progress indicator
+        this._renderScrubReadout(clock); // ✨ Ghost time while scrubbing
         this._updateUI(clock);
     }
 
-    _createSecondDrop(data, factory) {
+    _createSecondDrop(data, factory, silent = false) {
         try {
             const colorManager = this.container.get('colorManager');
             const audio = this.container.get('audio');
             
             // PHILOSOPHY: Visual-audio feedback loop - audio brightness influences ink vibrancy
-            const sonificationValue = audio.getLastSonificationValue();
-            const dropColor = colorManager.getColorForTime(data.minute, data.hour, sonificationValue);
             const x = random(width * 0.2, width * 0.8);
             const y = random(height * 0.2, height * 0.8);
+            const concentration = this.container.get('fluid').getDyeAt(x, y);
+            const sonificationValue = audio.getLastSonificationValue();
+            const dropColor = colorManager.getColorForTime(data.minute, data.hour, sonificationValue, concentration);
             
             const drop = factory.createSecondDrop(x, y, dropColor);
             this.activeDrops.push(drop);
-            audio.playDropSound(x, data.minute);
+            if (!data.catchUp && !silent) audio.playDropSound(x, data.minute); // replayed bursts stay silent
         } catch (error) {
             console.error('Failed to create second drop:', error);
         }
     }
 
-    _createMinuteDrop(data, factory) {
+    _createMinuteDrop(data, factory, silent = false) {
         try {
             const colorManager = this.container.get('colorManager');
             const audio = this.container.get('audio');
             
-            const sonificationValue = audio.getLastSonificationValue();
-            const dropColor = colorManager.getColorForTime(data.minute, data.hour, sonificationValue);
             const x = random(width * 0.1, width * 0.9);
             const y = random(height * 0.1, height * 0.9);
+            const concentration = this.container.get('fluid').getDyeAt(x, y);
+            const sonificationValue = audio.getLastSonificationValue();
+            const dropColor = colorManager.getColorForTime(data.minute, data.hour, sonificationValue, concentration);
             
             const drop = factory.createMinuteDrop(x, y, dropColor);
             this.activeDrops.push(drop);
-            audio.playDropSound(x, data.minute);
+            if (!data.catchUp && !silent) audio.playDropSound(x, data.minute);
         } catch (error) {
             console.error('Failed to create minute drop:', error);
         }
@@ -355,7 +504,7 @@ class Application {
             
             const drop = factory.createHourDrop(x, y, dropColor);
             this.activeDrops.push(drop);
-            audio.playDropSound(x, 0);
+            if (!data.catchUp) audio.playDropSound(x, 0);
         } catch (error) {
             console.error('Failed to create hour drop:', error);
         }
@@ -387,44 +536,185 @@ class Application {
             }
             
             // 2. Create STRONG fluid ripple (1/3 screen size)
-            const rippleStrength = CONFIG.chime.ripple.strength || 5;
+            const rippleStrength = CONFIG.chime.ripple.strength;
             const rippleSize = min(width, height) / 3; // 1/3 of screen
             if (fluid.applyRipple) {
-                fluid.applyRipple(centerX, centerY, rippleSize, rippleStrength);
+                fluid.applyRipple(centerX, centerY, rippleStrength, rippleSize);
             }
             
-            // 3. Create CYMATICS pattern (visual sound wave)
-            const cymaticPattern = new CymaticPattern(centerX, centerY, data.minute);
+            // 3. Create CYMATICS pattern (visual sound wave, rings by significance)
+            const cymaticPattern = factory.createCymaticPattern(centerX, centerY, data.minute, data.profile);
             this.cymaticPatterns.push(cymaticPattern);
             
             // 4. Create permanent visual marker on history layer
-            this._createChimeMarker(centerX, centerY, data.minute, data.hour, dropColor);
+            this._createChimeMarker(centerX, centerY, data.minute, data.hour, dropColor, data.profile);
             
             // 5. Store chime marker for time progress indicator
             this.chimeMarkers.push({
                 minute: data.minute,
                 hour: data.hour,
+                level: data.level,
                 x: centerX,
                 y: centerY
             });
             
-            // 6. Strong audio feedback (bell-like)
-            audio.playDropSound(centerX, data.minute);
-            console.log(`🔔 CHIME at ${data.minute} minutes - Cymatics pattern + fluid ripple`);
+            // 6. Strong audio feedback (bell pitch by significance)
+            if (!data.catchUp) audio.playChimeSound(centerX, data.profile);
+            console.log(`🔔 CHIME at ${data.minute} minutes (level ${data.level}) - Cymatics pattern + fluid ripple`);
             
         } catch (error) {
             console.error('Failed to create chime drop:', error);
         }
     }
 
+    /**
+     * Create a calendar event drop (meeting start or end)
+     * PHILOSOPHY: Shared time leaves its own ink - a distinct color, ringed,
+     * landing where the meeting began and closing with a smaller echo.
+     * 
+     * @param {Object} data - Clock event payload ({uid, summary, start, end})
+     * @param {ParticleFactory} factory
+     * @param {boolean} isEnd - True for event-end
+     */
+    _createEventDrop(data, factory, isEnd) {
+        try {
+            const audio = this.container.get('audio');
+            const eventConfig = CONFIG.drops.event;
+            const dropColor = color(eventConfig.color[0], eventConfig.color[1], eventConfig.color[2]);
+            
+            let position = this.eventDropPositions[data.uid];
+            if (!position) {
+                position = {
+                    x: random(width * 0.15, width * 0.85),
+                    y: random(height * 0.25, height * 0.85)
+                };
+            }
+            
+            const drop = factory.createEventDrop(position.x, position.y, dropColor);
+            
+            if (isEnd) {
+                const scale = eventConfig.endScale;
+                drop.targetSize *= scale;
+                drop.initialSize *= scale;
+                drop.size *= scale;
+                delete this.eventDropPositions[data.uid];
+            } else {
+                this.eventDropPositions[data.uid] = position;
+            }
+            
+            this.activeDrops.push(drop);
+            if (!data.catchUp) audio.playDropSound(position.x, 0);
+            console.log(`📅 ${isEnd ? 'End' : 'Start'}: ${data.summary}`);
+        } catch (error) {
+            console.error('Failed to create event drop:', error);
+        }
+    }
+
+    /**
+     * Set up local .ics import via file picker (I key) and drag-and-drop
+     * The file is read in the browser only - nothing leaves the machine.
+     */
+    _setupCalendarImport() {
+        this.calendarInput = document.createElement('input');
+        this.calendarInput.type = 'file';
+        this.calendarInput.accept = '.ics,text/calendar';
+        this.calendarInput.style.display = 'none';
+        this.calendarInput.addEventListener('change', () => {
+            if (this.calendarInput.files.length > 0) {
+                this._loadCalendarFile(this.calendarInput.files[0]);
+            }
+            this.calendarInput.value = '';
+        });
+        document.body.appendChild(this.calendarInput);
+        
+        document.addEventListener('dragover', (event) => {
+            event.preventDefault();
+        });
+        document.addEventListener('drop', (event) => {
+            event.preventDefault();
+            const file = event.dataTransfer && event.dataTransfer.files[0];
+            if (file) this._loadCalendarFile(file);
+        });
+    }
+
+    /**
+     * @param {File} file - .ics file chosen or dropped by the user
+     */
+    _loadCalendarFile(file) {
+        const calendar = this.container.get('calendar');
+        const clock = this.container.get('clock');
+        
+        file.text()
+            .then(text => {
+                const count = calendar.loadICS(text);
+                clock.setCalendar(calendar); // re-evaluate events in progress
+                this.eventDropPositions = {};
+                console.log(`📅 Calendar loaded: ${count} events from ${file.name}`);
+            })
+            .catch(error => {
+                console.error(`✗ Calendar import failed (${file.name}):`, error);
+                alert(`Calendar import failed: ${error.message}`);
+            });
+    }
+
+    /**
+     * Fast-forward summary for time missed while the tab was hidden
+     * PHILOSOPHY: Time passed even when no one was watching - the paper still absorbed it.
+     * One layered stain grows a ring per missed minute, colored along the minute gradient,
+     * and missed chimes still leave their permanent markers.
+     * 
+     * @param {Object} data - Clock 'catchUp' summary ({hour, missedMinutes, missedChimes})
+     */
+    _createCatchUpSummary(data) {
+        try {
+            const colorManager = this.container.get('colorManager');
+            const stampRenderer = this.container.get('stampRenderer');
+            const minutes = data.missedMinutes;
+            
+            if (minutes.length > 0) {
+                const x = random(width * 0.3, width * 0.7);
+                const y = random(height * 0.3, height * 0.7);
+                const baseSize = CONFIG.drops.second.baseSize * CONFIG.drops.minute.sizeMultiplier;
+                
+                this.layers.history.push();
+                this.layers.history.blendMode(MULTIPLY);
+                
+                // Oldest minute = outermost ring, most recent = core
+                minutes.forEach((minute, i) => {
+                    const ringSize = baseSize * (1 + (minutes.length - i) * 0.15);
+                    const ringColor = colorManager.getColorForTime(minute, data.hour);
+                    stampRenderer.renderStamp(this.layers.history, x, y, ringSize, ringColor, random(TWO_PI), 0.35);
+                });
+                
+                this.layers.history.pop();
+            }
+            
+            data.missedChimes.forEach(chime => {
+                const chimeColor = colorManager.getColorForTime(chime.minute, data.hour);
+                const cx = width / 2 + random(-100, 100);
+                const cy = height / 2 + random(-100, 100);
+                this._createChimeMarker(cx, cy, chime.minute, data.hour, chimeColor, chime);
+                this.chimeMarkers.push({ minute: chime.minute, hour: data.hour, level: chime.level, x: cx, y: cy });
+            });
+        } catch (error) {
+            console.error('Failed to create catch-up summary:', error);
+        }
+    }
+
     _updateAndRenderDrops(fluid) {
         this.layers.active.clear();
-        const inkDensity = this._calculateInkDensity();
-        const viscosity = this._getViscosityFromDensity(inkDensity);
+        const dyeConfig = CONFIG.fluid.dye;
         
         // Get pool for object recycling
         const pool = this.container.get('particlePool');
         
+        // Level of detail: over budget, the oldest drops soak in early
+        const budget = this.container.get('budgetManager');
+        budget.update(this.activeDrops, this.activeDrips);
+        
+        // Touching drops merge before they move on
+        if (CONFIG.drops.coalescence.enabled) this._coalesceDrops();
+        
         // Update drops
         for (let i = this.activeDrops.length - 1; i >= 0; i--) {
             const drop = this.activeDrops[i];
@@ -433,6 +723,13 @@ class Application {
             const newDrip = drop.update();
             if (newDrip) this.activeDrips.push(newDrip);
             
+            // Live drops bleed pigment into the water (a splash on landing)
+            if (!drop.isDead && !drop.isRewinding) {
+                let amount = dyeConfig.depositRate * (drop.opacity / 255);
+                if (drop.birthAge === 1) amount += dyeConfig.birthDeposit;
+                fluid.addDye(drop.pos.x, drop.pos.y, amount, drop.size / 2);
+            }
+            
             if (drop.shouldStamp()) {
                 drop.stampToHistory(this.layers.history);
             }
@@ -448,7 +745,7 @@ class Application {
             }
         }
         
-        // Update drips (not pooled yet, but could be in future)
+        // Update drips
         for (let i = this.activeDrips.length - 1; i >= 0; i--) {
             const drip = this.activeDrips[i];
             drip.update();
@@ -458,15 +755,46 @@ class Application {
             }
             
             if (drip.isDead) {
+                if (pool) pool.release(drip);
                 this.activeDrips.splice(i, 1);
             } else {
                 drip.display(this.layers.active);
             }
         }
+        
+        // Pigment wash under the live ink
+        fluid.renderDye(this.layers.dye);
+    }
+
+    /**
+     * Merge touching wet drops: the larger absorbs the smaller (InkDrop.absorb)
+     * and each merge is sounded as a combined note
+     */
+    _coalesceDrops() {
+        const audio = this.container.get('audio');
+        const drops = this.activeDrops;
+        
+        for (let i = 0; i < drops.length; i++) {
+            const drop = drops[i];
+            if (!drop.canCoalesce()) continue;
+            
+            for (let j = i + 1; j < drops.length; j++) {
+                const other = drops[j];
+                if (!other.canCoalesce() || !drop.touches(other)) continue;
+                
+                const [survivor, absorbed] = other.targetSize > drop.targetSize ? [other, drop] : [drop, other];
+                const merge = survivor.absorb(absorbed);
+                this.mergeCount++;
+                audio.playMergeSound(merge.x, merge.parentSizes, merge.size);
+                
+                if (absorbed === drop) break; // absorbed drops are released in the update loop
+            }
+        }
     }
 
     _renderLayers() {
         image(this.layers.bg, 0, 0);
+        image(this.layers.dye, 0, 0);
         image(this.layers.trail, 0, 0);
         image(this.layers.history, 0, 0);
         image(this.layers.fx, 0, 0);      // ✨ Cymatics layer
@@ -475,10 +803,12 @@ class Application {
 
     _updateCymaticPatterns() {
         const fluid = this.container.get('fluid');
+        const pool = this.container.get('particlePool');
         
         // Update and clean up completed patterns
         for (let i = this.cymaticPatterns.length - 1; i >= 0; i--) {
             const pattern = this.cymaticPatterns[i];
+            pattern.drift(fluid); // carried by the current (sun, wake, drag) like the ink
             
             // PHILOSOPHY: Cymatics patterns return active rings for fluid interaction
             // Sound creates visible waves that physically disturb the medium
@@ -490,6 +820,7 @@ class Application {
             }
             
             if (pattern.isComplete()) {
+                if (pool) pool.release(pattern);
                 this.cymaticPatterns.splice(i, 1);
             }
         }
@@ -520,18 +851,117 @@ class Application {
         this.layers.trail.rect(0, 0, width, height);
     }
 
+    /**
+     * How inked the reservoir is (0-1), read from the fluid's dye field
+     */
     _calculateInkDensity() {
-        const totalDrops = this.activeDrops.length + this.activeDrips.length;
-        const canvasArea = width * height;
-        return totalDrops / (canvasArea / 10000);
+        return this.container.get('fluid').getInkDensity();
     }
 
-    _getViscosityFromDensity(density) {
-        return map(density, 0, 5, 0.98, 0.85, true);
+    _initializeBackgroundLayer() {
+        const paper = this.container.get('colorManager').getBackgroundColor();
+        this.layers.bg.background(paper[0], paper[1], paper[2]);
+        this.paperTintKey = paper.map(Math.round).join(',');
+        
+        // The sheet's own tone, blotches and fibers
+        this.container.get('paper').renderTexture(this.layers.bg);
+        
+        // Drawn walls show faintly through the paper
+        this.container.get('obstacles').render(this.layers.bg);
     }
 
-    _initializeBackgroundLayer() {
-        this.layers.bg.background(255);
+    /**
+     * Follow the real sun: repaint the paper when its tint shifts, recolor the SunDrop
+     * PHILOSOPHY: 6am and 11pm should not feel alike - the sky seeps into the paper
+     */
+    _updateSolarPalette(colorManager) {
+        this.sunDrop.setColor(colorManager.getSunColor());
+        
+        const paper = colorManager.getBackgroundColor();
+        const tintKey = paper.map(Math.round).join(',');
+        if (tintKey !== this.paperTintKey) {
+            this._initializeBackgroundLayer();
+        }
+        
+        const phase = colorManager.getSolarPhase();
+        if (phase && phase !== this.solarPhase) {
+            if (this.solarPhase) console.log(`🌗 Solar phase: ${this.solarPhase} → ${phase}`);
+            this.solarPhase = phase;
+        }
+    }
+
+    /**
+     * Keep the finished hour's canvas before it is washed away
+     * PHILOSOPHY: Each hour is impermanent on screen, but the day remembers it
+     * 
+     * @param {number} hour - Completed hour (0-23)
+     * @param {number} day - Clock day index of the completed hour
+     */
+    _archiveHour(hour, day) {
+        try {
+            const archive = this.container.get('hourArchive');
+            archive.capture(hour, day, [this.layers.dye, this.layers.trail, this.layers.history]);
+        } catch (error) {
+            console.error('Failed to archive hour:', error);
+        }
+    }
+
+    /**
+     * 24-cell mosaic of the day (archived hours + the current hour live)
+     */
+    _renderDayMosaic(clock) {
+        const archive = this.container.get('hourArchive');
+        archive.renderMosaic(clock.getCurrentHour(), clock.getCurrentDay(), [this.layers.dye, this.layers.trail, this.layers.history]);
+    }
+
+    /**
+     * Save the drawing and the water together (CONFIG.session)
+     * PHILOSOPHY: Stepping away shouldn't wash the hour away early
+     */
+    _saveSession() {
+        try {
+            const clock = this.container.get('clock');
+            const layers = {};
+            CONFIG.session.layers.forEach(name => {
+                layers[name] = this.layers[name].elt.toDataURL('image/png');
+            });
+            
+            const saved = this.container.get('sessionStore').save({
+                hour: clock.getCurrentHour(),
+                day: clock.getCurrentDay(),
+                fluid: this.container.get('fluid').snapshot(),
+                layers
+            });
+            if (saved) console.log('💾 Session saved');
+        } catch (error) {
+            console.error('Failed to save session:', error);
+        }
+    }
+
+    /**
+     * Resume a session saved earlier in this hour: same currents, same ink
+     * (layer images load asynchronously and are stretched to the current canvas)
+     */
+    _restoreSession(clock, fluid) {
+        const session = this.container.get('sessionStore').load(clock.getCurrentHour(), clock.getCurrentDay());
+        if (!session) return;
+        
+        try {
+            fluid.restore(session.fluid);
+        } catch (error) {
+            console.warn('⚠️ Saved currents could not be restored:', error.message);
+        }
+        
+        Object.entries(session.layers).forEach(([name, dataUrl]) => {
+            if (!this.layers[name]) return;
+            loadImage(
+                dataUrl,
+                image => this.layers[name].image(image, 0, 0, width, height),
+                () => console.warn(`⚠️ Saved ${name} layer could not be loaded`)
+            );
+        });
+        
+        console.log(`💾 Resumed session saved at ${new Date(session.savedAt).toLocaleTimeString()}`);
     }
 
     _resetCanvasForNewHour() {
@@ -539,12 +969,22 @@ class Application {
         this.layers.history.background(255, 0);
         this.layers.trail.clear();
         this.layers.fx.clear(); // ✨ Clear Cymatics patterns
+        
+        // Everything still live goes back to the pool (drops take their splatter with them)
+        const pool = this.container.get('particlePool');
+        if (pool) {
+            [...this.activeDrops, ...this.activeDrips, ...this.cymaticPatterns].forEach(object => pool.release(object));
+        }
         this.activeDrops = [];
         this.activeDrips = [];
         this.cymaticPatterns = []; // ✨ Clear patterns array
+        this.mergeCount = 0;
+        this.container.get('budgetManager').reset();
         this.chimeMarkers = []; // ✨ Clear chime markers for new hour
+        this.eventDropPositions = {};
         
         const fluid = this.container.get('fluid');
+        fluid.clearDye();
         if (fluid && typeof fluid.resetTurbulence === 'function') {
             fluid.resetTurbulence();
         }
@@ -722,14 +1162,14 @@ class Application {
             // Semi-transparent background
             fill(0, 220);
             noStroke();
-            rect(10, height - 180, 320, 170, 5);
+            rect(10, height - 334, 320, 324, 5);
             
             // Title
             fill(255);
             textSize(14);
             textFont('monospace');
             textAlign(LEFT, TOP);
-            text("KEYBOARD SHORTCUTS", 20, height - 170);
+            text("KEYBOARD SHORTCUTS", 20, height - 324);
             
             // Shortcuts list
             textSize(12);
@@ -737,11 +1177,19 @@ class Application {
                 "SPACE : Pause/Resume",
                 "Z     : Zen Mode (hide time)",
                 "D     : Debug Mode (performance)",
+                "I     : Import calendar (.ics)",
+                "M     : Day mosaic (24 hours)",
+                "V     : Flow view (arrows/lines/LIC/curl)",
+                "SHIFT+drag : Scrub time ◀ ▶",
+                "ALT+drag   : Draw obstacle",
+                "O     : Clear obstacles",
+                "ARROWS : Tilt the sheet (gravity)",
+                "P     : Paper (washi/Tomoe River/cotton)",
                 "?     : Toggle this help"
             ];
             
             shortcuts.forEach((line, i) => {
-                text(line, 20, height - 145 + i * 22);
+                text(line, 20, height - 299 + i * 22);
             });
             
             // Subtle hint
@@ -760,16 +1208,17 @@ class Application {
      * 
      * @param {number} x - Center X position
      * @param {number} y - Center Y position
-     * @param {number} minute - Minute value (15, 30, or 45)
+     * @param {number} minute - Minute value
      * @param {number} hour - Hour value
      * @param {p5.Color} color - Marker color
+     * @param {Object} profile - Chime level profile ({markerSize, companions})
      */
-    _createChimeMarker(x, y, minute, hour, color) {
+    _createChimeMarker(x, y, minute, hour, color, profile) {
         try {
             const stampRenderer = this.container.get('stampRenderer');
             
-            // Size varies by significance: 15min = subtle, 30min = medium, 45min = prominent
-            const baseSize = minute === 15 ? 25 : minute === 30 ? 35 : 50;
+            // Size varies by significance: level 1 = subtle, 2 = medium, 3 = prominent
+            const baseSize = profile.markerSize;
             
             // Add slight randomness for organic feel (like natural ink spreading)
             const offsetX = random(-5, 5);
@@ -791,10 +1240,11 @@ class Application {
                 1.0 // Full opacity (immediate, not fade-in)
             );
             
-            // For 30 and 45 minutes, add additional subtle marks to indicate significance
+            // More significant chimes get companion marks
             // But keep them organic, not geometric
-            if (minute === 30) {
-                // Half hour: add one smaller companion stain
+            const companions = profile.companions || 0;
+            if (companions === 1) {
+                // e.g. half hour: add one smaller companion stain
                 const companionSize = baseSize * 0.6;
                 const companionX = x + cos(angle + PI / 4) * baseSize * 0.4;
                 const companionY = y + sin(angle + PI / 4) * baseSize * 0.4;
@@ -807,11 +1257,11 @@ class Application {
                     angle + random(-PI / 6, PI / 6),
                     0.7 // Slightly more transparent
                 );
-            } else if (minute === 45) {
-                // Three-quarter hour: add two smaller companion stains
-                for (let i = 0; i < 2; i++) {
+            } else if (companions > 1) {
+                // e.g. three-quarter hour: fan smaller companion stains around the marker
+                for (let i = 0; i < companions; i++) {
                     const companionSize = baseSize * 0.5;
-                    const companionAngle = angle + (i === 0 ? -PI / 3 : PI / 3);
+                    const companionAngle = angle + lerp(-PI / 3, PI / 3, i / (companions - 1));
                     const companionX = x + cos(companionAngle) * baseSize * 0.5;
                     const companionY = y + sin(companionAngle) * baseSize * 0.5;
                     stampRenderer.renderStamp(
@@ -855,8 +1305,9 @@ class Application {
             const progress = currentMinute / 59; // 0 to 1
             
             // Subtle ink-like stains for chime positions (only if they occurred)
-            const chimePositions = [15, 30, 45];
-            chimePositions.forEach(minute => {
+            const chimeSchedule = this.container.get('chimeSchedule');
+            chimeSchedule.getChimesForHour(clock.getCurrentHour()).forEach(chime => {
+                const minute = chime.minute;
                 const yPos = markerY + markerHeight - (markerHeight * (minute / 59));
                 const isActive = this.chimeMarkers.some(m => 
                     m.minute === minute && m.hour === clock.getCurrentHour()
@@ -872,7 +1323,7 @@ class Application {
                     noStroke();
                     
                     // Size varies by significance
-                    const stainSize = minute === 15 ? 6 : minute === 30 ? 8 : 10;
+                    const stainSize = 4 + chime.level * 2;
                     ellipse(markerX + markerWidth / 2, yPos, stainSize, stainSize);
                 }
             });
@@ -905,8 +1356,9 @@ class Application {
             }
         }
         
-        // Debug mode: performance overlay
+        // Debug mode: fluid grid + performance overlay
         if (this.isDebugMode) {
+            this.container.get('flowVisualizer').renderGrid();
             this._renderDebugOverlay();
         }
     }
@@ -924,44 +1376,281 @@ class Application {
         }
         this.frameRateAverage = this.frameRateHistory.reduce((a, b) => a + b, 0) / this.frameRateHistory.length;
         
-        // Get pool stats
+        // Get pool stats, checked against what the app still holds (a mismatch is a leak)
         const pool = this.container.get('particlePool');
-        const poolStats = pool ? pool.getStats() : null;
+        const poolStats = pool ? pool.getStats({
+            drop: this.activeDrops.length,
+            drip: this.activeDrips.length,
+            cymatic: this.cymaticPatterns.length,
+            splatter: this.activeDrops.reduce((sum, drop) => sum + drop.splatterParticles.length, 0)
+        }) : null;
+        const budget = this.container.get('budgetManager');
         
         // Render overlay (taller to fit pool stats)
         push();
         fill(0, 200);
         noStroke();
-        const overlayHeight = poolStats ? 180 : 120;
+        const overlayHeight = poolStats ? 200 : 140;
         rect(10, 10, 280, overlayHeight, 5);
         
         fill(255);
         textSize(12);
         textFont('monospace');
         text(`FPS: ${this.frameRateAverage.toFixed(1)}`, 20, 30);
-        text(`Drops: ${this.activeDrops.length}`, 20, 50);
+        text(`Drops: ${this.activeDrops.length} (merged ${this.mergeCount})`, 20, 50);
         text(`Drips: ${this.activeDrips.length}`, 20, 70);
         text(`Cymatics: ${this.cymaticPatterns.length}`, 20, 90);
         text(`Turbulence: ${(this.turbulenceLevel * 100).toFixed(1)}%`, 20, 110);
         
+        // Level of detail: amber once detail is being shed
+        if (budget.tierIndex > 0) fill(255, 190, 80);
+        text(`LOD: ${budget.getTier().name} (load ${(budget.load * 100).toFixed(0)}%, early ${budget.earlyStampCount})`, 20, 130);
+        
         // ✨ Pool statistics
         if (poolStats) {
             fill(100, 255, 100); // Green for pool stats
-            text(`Pool Active: ${poolStats.active}`, 20, 130);
-            text(`Pool Available: ${poolStats.available}`, 20, 150);
-            text(`Pool Created: ${poolStats.totalCreated}`, 20, 170);
+            if (poolStats.leaks.length > 0) fill(255, 100, 100); // Red: pool and app disagree
+            const leakNote = poolStats.leaks.length > 0 ? ` (leak: ${poolStats.leaks.map(leak => leak.group).join(', ')})` : '';
+            text(`Pool Active: ${poolStats.active}${leakNote}`, 20, 150);
+            fill(100, 255, 100);
+            text(`Pool Available: ${poolStats.available}`, 20, 170);
+            text(`Pool Created: ${poolStats.totalCreated}`, 20, 190);
+        }
+        
+        pop();
+    }
+
+    /**
+     * Start drawing an obstacle or scrubbing, depending on the modifier held
+     */
+    handleMousePressed() {
+        const drawConfig = CONFIG.interaction.obstacleDrawing;
+        if (drawConfig && drawConfig.enabled && this._isModifierDown(drawConfig.modifier)) {
+            const obstacles = this.container.get('obstacles');
+            obstacles.beginStroke(mouseX, mouseY);
+            obstacles.renderActiveSegment(this.layers.bg);
+            this.isDrawingObstacle = true;
+            return;
+        }
+        
+        const scrubConfig = CONFIG.interaction.scrubbing;
+        if (!scrubConfig || !scrubConfig.enabled || !this._isModifierDown(scrubConfig.modifier)) return;
+        
+        this.scrub = { offsetSeconds: 0, accumulator: 0, action: null };
+    }
+
+    /**
+     * Scrub time by horizontal drag
+     * PHILOSOPHY: Time cannot really be moved - but we can rehearse it.
+     * Dragging back takes recent moments off the paper (newest first),
+     * dragging forward pours out the moments still to come.
+     */
+    handleMouseDragged() {
+        if (this.isDrawingObstacle) {
+            // PHILOSOPHY: Sculpting the reservoir - the wall appears as it is drawn
+            const obstacles = this.container.get('obstacles');
+            if (obstacles.extendStroke(mouseX, mouseY)) {
+                obstacles.renderActiveSegment(this.layers.bg); // just the new segment; repainted whole on release
+            }
+            return;
+        }
+        
+        if (!this.scrub) return;
+        
+        const scrubConfig = CONFIG.interaction.scrubbing;
+        const dx = mouseX - pmouseX;
+        if (dx === 0) return;
+        
+        const action = dx < 0 ? scrubConfig.dragLeft : scrubConfig.dragRight;
+        if (action !== this.scrub.action) {
+            this.scrub.action = action;
+            this.scrub.accumulator = 0;
         }
         
+        this.scrub.accumulator += Math.abs(dx) * scrubConfig.sensitivity;
+        
+        const factory = this.container.get('particleFactory');
+        while (this.scrub.accumulator >= 1) {
+            this.scrub.accumulator -= 1;
+            
+            if (action === 'reverse') {
+                if (!this._scrubReverseStep(scrubConfig)) break;
+            } else if (action === 'forward') {
+                this._scrubForwardStep(factory);
+            }
+        }
+    }
+
+    handleMouseReleased() {
+        if (this.isDrawingObstacle) {
+            const obstacles = this.container.get('obstacles');
+            obstacles.endStroke();
+            this.isDrawingObstacle = false;
+            this._initializeBackgroundLayer(); // clean joints
+            console.log(`🧱 Obstacle drawn (${obstacles.strokes.length} total, saved)`);
+            return;
+        }
+        
+        if (!this.scrub) return;
+        
+        if (this.scrub.offsetSeconds !== 0) {
+            console.log(`⏪ Scrubbed ${this.scrub.offsetSeconds > 0 ? '+' : ''}${this.scrub.offsetSeconds}s`);
+        }
+        this.scrub = null;
+    }
+
+    _isModifierDown(modifier) {
+        switch (modifier) {
+            case 'shift': return keyIsDown(SHIFT);
+            case 'alt': return keyIsDown(ALT);
+            case 'control': return keyIsDown(CONTROL);
+            default: return true; // no modifier configured
+        }
+    }
+
+    /**
+     * Fade the most recent drop that has not stained the paper yet
+     * @returns {boolean} False when there is nothing left to rewind
+     */
+    _scrubReverseStep(scrubConfig) {
+        for (let i = this.activeDrops.length - 1; i >= 0; i--) {
+            const drop = this.activeDrops[i];
+            if (drop.canRewind && drop.canRewind()) {
+                drop.rewind(scrubConfig.rewindFrames);
+                this.scrub.offsetSeconds--;
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Burst the drop of the next second (and minute drop on a minute boundary), silently
+     */
+    _scrubForwardStep(factory) {
+        this.scrub.offsetSeconds++;
+        
+        const { hour, minute, second } = this._getScrubTime(this.container.get('clock'));
+        this._createSecondDrop({ second, minute, hour }, factory, true);
+        if (second === 0) {
+            this._createMinuteDrop({ minute, hour }, factory, true);
+        }
+    }
+
+    /**
+     * Clock time shifted by the current scrub offset
+     * @returns {{hour: number, minute: number, second: number}}
+     */
+    _getScrubTime(clock) {
+        const now = clock.getCurrentHour() * 3600 + clock.getCurrentMinute() * 60 + clock.getCurrentSecond();
+        const total = ((now + this.scrub.offsetSeconds) % 86400 + 86400) % 86400;
+        
+        return {
+            hour: Math.floor(total / 3600),
+            minute: Math.floor(total / 60) % 60,
+            second: total % 60
+        };
+    }
+
+    /**
+     * Ghost time readout next to the cursor while scrubbing
+     * NIELSEN #1: Visibility of system status - where in time the drag has taken you
+     */
+    _renderScrubReadout(clock) {
+        if (!this.scrub) return;
+        
+        const offset = this.scrub.offsetSeconds;
+        const arrow = offset < 0 ? '◀◀' : '▶▶';
+        let label = `${arrow} ${offset > 0 ? '+' : ''}${offset}s`;
+        
+        // Zen Mode: direction and distance only, no clock face
+        if (!this.isZenMode) {
+            const { hour, minute, second } = this._getScrubTime(clock);
+            const pad = (n) => String(n).padStart(2, '0');
+            label = `${arrow} ${pad(hour)}:${pad(minute)}:${pad(second)}  (${offset > 0 ? '+' : ''}${offset}s)`;
+        }
+        
+        push();
+        textFont('monospace');
+        textSize(14);
+        textAlign(CENTER, BOTTOM);
+        noStroke();
+        fill(0, 90);
+        text(label, mouseX, mouseY - 18);
         pop();
     }
 
     /**
      * Handle window resize
-     * Recreates canvas and reinitializes background
+     * PHILOSOPHY: The sheet changes shape, not the hour - what is already on the
+     * paper stretches to the new sheet instead of being clipped or lost.
+     * Layers are recreated at the new size (stains rescaled), the fluid is regridded,
+     * and everything positioned in px moves proportionally.
      */
     handleResize() {
+        const previousWidth = width;
+        const previousHeight = height;
         resizeCanvas(windowWidth, windowHeight);
+        if (width === previousWidth && height === previousHeight) return;
+        
+        const scaleX = width / previousWidth;
+        const scaleY = height / previousHeight;
+        
+        // Layers: keep (and stretch) the accumulated ink, recreate the per-frame ones
+        this._resizeLayer('trail', true);
+        this._resizeLayer('history', true);
+        this._resizeLayer('bg', false);
+        this._resizeLayer('dye', false);
+        this._resizeLayer('fx', false);
+        this._resizeLayer('active', false);
         this._initializeBackgroundLayer();
+        
+        this.container.get('fluid').resize();
+        
+        // Live ink and markers follow the paper
+        const rescale = (point) => {
+            point.x *= scaleX;
+            point.y *= scaleY;
+        };
+        this.activeDrops.forEach(drop => rescale(drop.pos));
+        this.activeDrips.forEach(drip => rescale(drip.pos));
+        this.cymaticPatterns.forEach(pattern => rescale(pattern.pos));
+        this.chimeMarkers.forEach(rescale);
+        Object.values(this.eventDropPositions).forEach(rescale);
+        
+        // Sun lanes span the new width
+        this.sunDrop.resize(width);
+        this.zoneSuns.forEach(zone => zone.sunDrop.resize(width));
+        
+        console.log(`↔ Resized to ${width}x${height}`);
+    }
+
+    /**
+     * Replace a layer with one of the current canvas size
+     * @param {string} name - Key in this.layers
+     * @param {boolean} preserve - Copy the old content, stretched to the new size
+     */
+    _resizeLayer(name, preserve) {
+        const previous = this.layers[name];
+        const next = createGraphics(width, height);
+        if (preserve) next.image(previous, 0, 0, width, height);
+        previous.remove();
+        this.layers[name] = next;
+    }
+
+    /**
+     * Arrow keys tilt the sheet: the arrow points downhill
+     * @param {number} keyCode - LEFT_ARROW | RIGHT_ARROW | UP_ARROW | DOWN_ARROW
+     */
+    _tiltSheet(keyCode) {
+        const fluid = this.container.get('fluid');
+        const step = CONFIG.fluid.gravity.step;
+        const dx = keyCode === LEFT_ARROW ? -step : keyCode === RIGHT_ARROW ? step : 0;
+        const dy = keyCode === UP_ARROW ? -step : keyCode === DOWN_ARROW ? step : 0;
+        
+        fluid.adjustBodyForce(dx, dy);
+        const tilt = fluid.getBodyForce();
+        console.log(`🧭 Tilt: (${tilt.x.toFixed(2)}, ${tilt.y.toFixed(2)})${fluid.hasTilt() ? '' : ' - level'}`);
     }
 
     /**
@@ -980,18 +1669,45 @@ class Application {
      * - SPACE: Pause/Resume
      * - Z: Toggle Zen Mode (hide time) - "Feel time, don't measure it"
      * - D: Toggle Debug Mode (show metrics) - "Understand the mechanism"
+     * - I: Import calendar (.ics) - "Bring shared time onto the page"
+     * - M: Toggle Day Mosaic - "See how the whole day was spent"
+     * - V: Cycle flow visualization - "See the current itself"
+     * - SHIFT + drag: Scrub time (left = rewind, right = fast-forward)
+     * - ALT + drag: Draw an obstacle - "Sculpt the reservoir"
+     * - O: Clear all obstacles
+     * - ARROWS: Tilt the sheet - "Let the ink run and pool"
+     * - P: Cycle paper presets - "Every paper drinks differently"
      * - ?: Toggle Keyboard Help - "Discover available controls"
      */
     handleKeyPress(key, keyCode) {
         if (key === ' ') {
             this.isPaused = !this.isPaused;
             console.log(this.isPaused ? '⏸ Paused' : '▶ Resumed');
+            if (this.isPaused && CONFIG.session.saveOnPause) this._saveSession();
         } else if (key === 'z' || key === 'Z') {
             this.isZenMode = !this.isZenMode;
             console.log(this.isZenMode ? '🧘 Zen Mode: ON (time hidden)' : '🕐 Zen Mode: OFF (time shown)');
         } else if (key === 'd' || key === 'D') {
             this.isDebugMode = !this.isDebugMode;
             console.log(this.isDebugMode ? '🔧 Debug Mode: ON' : '🔧 Debug Mode: OFF');
+        } else if (key === 'i' || key === 'I') {
+            if (this.calendarInput) this.calendarInput.click();
+        } else if (key === 'm' || key === 'M') {
+            this.showDayMosaic = !this.showDayMosaic;
+            console.log(this.showDayMosaic ? '🗓 Day Mosaic: ON' : '🗓 Day Mosaic: OFF');
+        } else if (key === 'v' || key === 'V') {
+            const mode = this.container.get('flowVisualizer').cycleMode();
+            console.log(`🌀 Flow view: ${mode}`);
+        } else if (key === 'o' || key === 'O') {
+            this.container.get('obstacles').clear();
+            this._initializeBackgroundLayer();
+            console.log('🧱 Obstacles cleared');
+        } else if (key === 'p' || key === 'P') {
+            const preset = this.container.get('paper').cyclePreset();
+            this._initializeBackgroundLayer();
+            console.log(`📜 Paper: ${preset}`);
+        } else if ([LEFT_ARROW, RIGHT_ARROW, UP_ARROW, DOWN_ARROW].includes(keyCode)) {
+            this._tiltSheet(keyCode);
         } else if (key === '?' || key === '/') {
             this.showKeyboardHelp = !this.showKeyboardHelp;
             console.log(this.showKeyboardHelp ? '⌨️  Keyboard Help: ON' : '⌨️  Keyboard Help: OFF');